@@ -1,16 +1,12 @@
 /**
  * EU RSS Generator - Single API Endpoint for All Feeds
- * Handles 9 European institutional website RSS feeds
+ * Serves every feed registered in utils/feed-registry.js
  */
 
-import { generateRSSFeed } from '../utils/rss-builder.js';
-import { scrapeEEAS, getEEASChannelInfo } from '../utils/eeas-scraper.js';
-import { scrapeECJNews, getECJChannelInfo } from '../utils/ecj-scraper.js';
-import { scrapeNATO, getNATOChannelInfo } from '../utils/nato-scraper.js';
-import { scrapeConsiliumAdvanced, getConsiliumAdvancedChannelInfo } from '../utils/consilium-scraper-advanced.js';
-import { scrapeECANewsAPI, getECAChannelInfoAPI } from '../utils/eca-scraper-api.js';
-import { scrapeCOENews, getCOEChannelInfo } from '../utils/coe-scraper.js';
-import { cache } from '../utils/http-client.js';
+import { createHash } from 'crypto';
+import { generateRSSFeed, generateAtomFeed, generateJSONFeed, parseFeedDate } from '../utils/rss-builder.js';
+import { getFeed, getAllFeeds, loadFeed, getFeedStats } from '../utils/feed-registry.js';
+import { buildCatalog, generateOPML } from '../utils/feed-catalog.js';
 
 /**
  * Main API handler
@@ -23,197 +19,92 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Methods', 'GET');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   
-  try {
-    // Handle different feed types
-    switch (feed) {
-      case 'eeas':
-        return await handleEEAS(req, res);
-      
-      case 'curia':
-        return await handleECJ(req, res);
-      
-      case 'europarl':
-        return await handleNotImplemented(req, res, 'European Parliament Q&A');
-      
-      case 'eca':
-        return await handleECA(req, res);
-      
-      case 'consilium':
-        return await handleConsilium(req, res);
-      
-      case 'frontex':
-        return await handleNotImplemented(req, res, 'Frontex News');
-      
-      case 'europol':
-        return await handleNotImplemented(req, res, 'Europol News');
-      
-      case 'coe':
-        return await handleCOE(req, res);
-      
-      case 'nato':
-        return await handleNATO(req, res);
-      
-      default:
-        return handleInvalidFeed(req, res);
-    }
-    
-  } catch (error) {
-    console.error(`Error processing ${feed} feed:`, error);
-    return handleError(req, res, error, feed);
+  if (feed === 'catalog' || feed === 'catalog.opml') {
+    return handleCatalog(req, res, feed === 'catalog.opml' ? 'opml' : 'json');
   }
-}
-
-/**
- * Handle EEAS Press Material feed
- */
-async function handleEEAS(req, res) {
-  try {
-    console.log('Processing EEAS feed request');
-    
-    const items = await scrapeEEAS();
-    const channelInfo = getEEASChannelInfo();
-    const rssXml = generateRSSFeed(channelInfo, items);
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    return res.status(200).send(rssXml);
-    
-  } catch (error) {
-    console.error('EEAS feed error:', error);
-    throw error;
+  
+  const registeredFeed = getFeed(feed);
+  
+  if (!registeredFeed) {
+    return handleInvalidFeed(req, res);
   }
-}
-
-/**
- * Handle NATO News feed
- */
-async function handleNATO(req, res) {
+  
+  if (!registeredFeed.scrape) {
+    return handleNotImplemented(req, res, registeredFeed.name);
+  }
+  
   try {
-    console.log('Processing NATO feed request');
-    
-    const items = await scrapeNATO();
-    const channelInfo = getNATOChannelInfo();
-    const rssXml = generateRSSFeed(channelInfo, items);
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    return res.status(200).send(rssXml);
+    return await handleFeed(req, res, registeredFeed);
     
   } catch (error) {
-    console.error('NATO feed error:', error);
-    throw error;
-  }
-}
-
-/**
- * Handle ECJ (European Court of Justice) Press Releases feed
- */
-async function handleECJ(req, res) {
-  try {
-    console.log('Processing ECJ Professional feed request');
+    console.error(`Error processing ${feed} feed:`, error);
     
-    // Clear cache if requested via query parameter
-    if (req.query.clearCache === 'true') {
-      cache.clear();
-      console.log('🗑️ ECJ API: Cache cleared manually');
+    if (error.status === 400) {
+      return handleInvalidFeed(req, res, error.message);
     }
     
-    const items = await scrapeECJNews();
-    const channelInfo = getECJChannelInfo();
-    const rssXml = generateRSSFeed(channelInfo, items);
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    return res.status(200).send(rssXml);
-    
-  } catch (error) {
-    console.error('ECJ Professional feed error:', error);
-    throw error;
+    return handleError(req, res, error, feed);
   }
 }
 
 /**
- * Handle EU Council Press Releases feed (Advanced Scraper)
+ * Handle a registered feed: load through the feed cache, build channel info and send
  */
-async function handleConsilium(req, res) {
-  try {
-    console.log('Processing EU Council feed request with advanced scraper');
-    
-    const items = await scrapeConsiliumAdvanced();
-    const channelInfo = getConsiliumAdvancedChannelInfo();
-    const rssXml = generateRSSFeed(channelInfo, items);
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    return res.status(200).send(rssXml);
-    
-  } catch (error) {
-    console.error('EU Council advanced feed error:', error);
-    throw error;
+async function handleFeed(req, res, feed) {
+  console.log(`Processing ${feed.name} feed request`);
+  
+  // Re-scrape this feed if requested via query parameter
+  const forceRefresh = req.query.clearCache === 'true';
+  if (forceRefresh) {
+    console.log(`🔄 ${feed.name}: Refresh forced manually`);
   }
-}
-
-/**
- * Handle ECA (European Court of Auditors) News feed
- */
-async function handleECA(req, res) {
+  
+  let result;
   try {
-    console.log('Processing ECA feed request');
-    
-    // Clear cache if requested via query parameter
-    if (req.query.clearCache === 'true') {
-      cache.clear();
-      console.log('🗑️ ECA API: Cache cleared manually');
-    }
-    
-    const items = await scrapeECANewsAPI();
-    console.log('✅ ECA API: Items scraped:', items.length);
-    
-    const channelInfo = getECAChannelInfoAPI();
-    console.log('✅ ECA API: Channel info prepared:', JSON.stringify(channelInfo, null, 2));
-    
-    const rssXml = generateRSSFeed(channelInfo, items);
-    console.log('✅ ECA API: RSS generated, size:', rssXml.length);
-    console.log('✅ ECA API: RSS preview (first 200 chars):', rssXml.substring(0, 200));
-    console.log('🚀 ECA API: Sending RSS response to client...');
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    const result = res.status(200).send(rssXml);
-    console.log('✅ ECA API: Response sent successfully');
-    return result;
-    
+    result = await loadFeed(feed, req.query, { forceRefresh });
   } catch (error) {
-    console.error('❌ ECA feed error:', error);
-    throw error;
+    if (!feed.placeholder) throw error;
+    
+    // Outside the feed cache, so placeholders are never cached or counted as a scrape
+    console.log(`⚠️ ${feed.name}: ${error.message}, serving placeholder items`);
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    return sendFeed(req, res, feed.channelInfo(), feed.placeholder());
+  }
+  
+  const { items, channelInfo, stale, age, storedAt } = result;
+  
+  console.log(`✅ ${feed.name}: ${items.length} items${stale ? ` (stale, ${age}s old)` : ''}`);
+  
+  if (stale) {
+    // Short-lived caching so readers pick up the refreshed data soon
+    res.setHeader('X-Feed-Stale', 'true');
+    res.setHeader('X-Feed-Last-Updated', new Date(storedAt).toUTCString());
+    res.setHeader('Age', String(age));
+    res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+  } else {
+    res.setHeader('Cache-Control', `public, max-age=${feed.ttl}, stale-while-revalidate=${feed.ttl * 2}`);
   }
+  
+  return sendFeed(req, res, channelInfo, items);
 }
 
 /**
- * Handle COE (Council of Europe) Newsroom feed
+ * Handle feed catalog as JSON or OPML subscription list
  */
-async function handleCOE(req, res) {
-  try {
-    console.log('Processing COE feed request');
-    
-    const items = await scrapeCOENews();
-    const channelInfo = getCOEChannelInfo();
-    const rssXml = generateRSSFeed(channelInfo, items);
-    
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=3600');
-    
-    return res.status(200).send(rssXml);
-    
-  } catch (error) {
-    console.error('COE feed error:', error);
-    throw error;
+function handleCatalog(req, res, format) {
+  const baseUrl = getBaseUrl(req);
+  const catalog = buildCatalog(getAllFeeds(), getFeedStats, baseUrl);
+  
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  
+  if (format === 'opml') {
+    res.setHeader('Content-Type', 'text/x-opml; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="eu-rss-feeds.opml"');
+    return res.status(200).send(generateOPML(catalog, baseUrl));
   }
+  
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  return res.status(200).send(JSON.stringify({ feeds: catalog }, null, 2));
 }
 
 /**
@@ -235,16 +126,13 @@ async function handleNotImplemented(req, res, feedName) {
     guid: `${channelInfo.link}#development`
   }];
   
-  const rssXml = generateRSSFeed(channelInfo, items);
-  
-  res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-  return res.status(200).send(rssXml);
+  return sendFeed(req, res, channelInfo, items);
 }
 
 /**
  * Handle invalid feed requests
  */
-function handleInvalidFeed(req, res) {
+function handleInvalidFeed(req, res, reason = null) {
   const channelInfo = {
     title: 'EU RSS Generator - Invalid Feed',
     description: 'The requested RSS feed does not exist',
@@ -254,16 +142,13 @@ function handleInvalidFeed(req, res) {
   
   const items = [{
     title: 'Invalid Feed Request',
-    description: `Available feeds: eeas, curia, europarl, eca, consilium, frontex, europol, coe, nato`,
+    description: `${reason ? reason + '. ' : ''}Available feeds: ${getAllFeeds().map(feed => feed.id).join(', ')}`,
     link: channelInfo.link,
     pubDate: new Date().toISOString(),
     guid: `${channelInfo.link}#invalid`
   }];
   
-  const rssXml = generateRSSFeed(channelInfo, items);
-  
-  res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-  return res.status(400).send(rssXml);
+  return sendFeed(req, res, channelInfo, items, 400);
 }
 
 /**
@@ -285,8 +170,152 @@ function handleError(req, res, error, feedName) {
     guid: `${channelInfo.link}#error-${Date.now()}`
   }];
   
-  const rssXml = generateRSSFeed(channelInfo, items);
+  return sendFeed(req, res, channelInfo, items, 500);
+}
+
+/**
+ * Feed output formats and their Content-Type headers
+ */
+const FEED_FORMATS = {
+  rss: {
+    contentType: 'application/rss+xml; charset=utf-8',
+    generate: generateRSSFeed
+  },
+  atom: {
+    contentType: 'application/atom+xml; charset=utf-8',
+    generate: generateAtomFeed
+  },
+  json: {
+    contentType: 'application/feed+json; charset=utf-8',
+    generate: generateJSONFeed
+  }
+};
+
+/**
+ * Pick the output format from ?format= or the Accept header.
+ * Atom and JSON Feed are only chosen when strictly preferred over RSS,
+ * so ties and clients accepting anything get RSS
+ */
+function getFeedFormat(req) {
+  const requested = (req.query.format || '').toLowerCase();
+  if (FEED_FORMATS[requested]) {
+    return requested;
+  }
+  
+  const getQuality = parseAcceptHeader(req.headers?.accept || '');
+  const mediaType = name => FEED_FORMATS[name].contentType.split(';')[0];
+  const rssQuality = getQuality(mediaType('rss'));
+  
+  const preferred = ['atom', 'json']
+    .map(name => ({ name, quality: getQuality(mediaType(name)) }))
+    .filter(({ quality }) => quality > rssQuality)
+    .sort((a, b) => b.quality - a.quality);
+  
+  return preferred[0]?.name || 'rss';
+}
+
+/**
+ * Parse an Accept header into a lookup of the q-value for a media type,
+ * using the most specific matching range (exact type, then type wildcard, then any)
+ */
+function parseAcceptHeader(accept) {
+  const ranges = accept.split(',')
+    .map(part => {
+      const [range, ...params] = part.split(';').map(value => value.trim().toLowerCase());
+      const qParam = params.find(param => param.startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { range, quality: isNaN(quality) ? 0 : quality };
+    })
+    .filter(({ range }) => range);
   
-  res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-  return res.status(500).send(rssXml);
-}
\ No newline at end of file
+  return mediaType => {
+    const type = mediaType.split('/')[0];
+    const match = ranges.find(({ range }) => range === mediaType)
+      || ranges.find(({ range }) => range === `${type}/*`)
+      || ranges.find(({ range }) => range === '*/*');
+    
+    return match ? match.quality : 0;
+  };
+}
+
+/**
+ * Serialize items in the requested format and send the response,
+ * answering If-None-Match / If-Modified-Since with 304 when the items are unchanged
+ */
+function sendFeed(req, res, channelInfo, items, status = 200) {
+  const formatName = getFeedFormat(req);
+  const format = FEED_FORMATS[formatName];
+  const feedUrl = req.headers?.host
+    ? `${getBaseUrl(req)}${req.url}`
+    : `${getBaseUrl(req)}/api/${req.query.feed || ''}`;
+  
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Vary', 'Accept');
+  
+  if (status !== 200) {
+    return res.status(status).send(format.generate({ feedUrl, ...channelInfo }, items));
+  }
+  
+  const etag = `W/"${hashFeed(channelInfo, items)}-${formatName}"`;
+  const lastModified = getLastModified(items);
+  
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+  
+  if (isNotModified(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+  
+  const body = format.generate({ feedUrl, ...(lastModified && { lastBuildDate: lastModified }), ...channelInfo }, items);
+  return res.status(200).send(body);
+}
+
+/**
+ * Stable hash of the channel info (e.g. the failed sources listed by /api/all) and items
+ */
+function hashFeed(channelInfo, items) {
+  return createHash('sha1').update(JSON.stringify({ channelInfo, items })).digest('hex').substring(0, 20);
+}
+
+/**
+ * Newest item pubDate, never in the future, at HTTP date second precision (null without dated items)
+ * Also used as lastBuildDate, so the document only changes with its items
+ */
+function getLastModified(items) {
+  const times = items
+    .filter(item => item.pubDate)
+    .map(item => parseFeedDate(item.pubDate).getTime());
+  
+  if (times.length === 0) return null;
+  
+  const newest = Math.min(Math.max(...times), Date.now());
+  return new Date(Math.floor(newest / 1000) * 1000);
+}
+
+/**
+ * Evaluate conditional request headers (If-None-Match takes precedence)
+ */
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers?.['if-none-match'];
+  if (ifNoneMatch) {
+    const normalize = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch === '*' || ifNoneMatch.split(',').some(tag => normalize(tag) === normalize(etag));
+  }
+  
+  const ifModifiedSince = req.headers?.['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = new Date(ifModifiedSince);
+    return !isNaN(since) && lastModified <= since;
+  }
+  
+  return false;
+}
+
+/**
+ * Public base URL of this deployment
+ */
+function getBaseUrl(req) {
+  return req.headers?.host ? `https://${req.headers.host}` : 'https://eu-rss-generator.vercel.app';
+}
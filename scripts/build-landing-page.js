@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+/**
+ * Build Step - Generate public/index.html from the feed registry
+ */
+
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getAllFeeds } from '../utils/feed-registry.js';
+import { renderLandingPage } from '../utils/landing-page.js';
+
+const outputPath = fileURLToPath(new URL('../public/index.html', import.meta.url));
+
+writeFileSync(outputPath, renderLandingPage(getAllFeeds()));
+console.log(`✅ Landing page generated: ${outputPath}`);
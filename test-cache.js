@@ -0,0 +1,144 @@
+/**
+ * Tests for the feed cache: stale-while-revalidate and last good fallbacks
+ * Runs offline with entries written straight to a memory or temporary file backend
+ */
+
+import assert from 'assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SimpleCache } from './utils/http-client.js';
+import { MemoryCacheBackend, FileCacheBackend } from './utils/cache-backends.js';
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Entry stored `age` ms ago with a 30 minute ttl and 24 hour stale window
+ */
+function createEntry(data, age) {
+  const storedAt = Date.now() - age;
+  
+  return {
+    data,
+    storedAt,
+    expiry: storedAt + 30 * MINUTE,
+    staleUntil: storedAt + 30 * MINUTE + DAY
+  };
+}
+
+/**
+ * Cache holding one entry stored `age` ms ago
+ */
+function createCache(key, data, age, backend = new MemoryCacheBackend()) {
+  const cache = new SimpleCache(30 * MINUTE, backend, DAY);
+  cache.backend.write(key, createEntry(data, age));
+  return cache;
+}
+
+const failingLoader = async () => {
+  throw new Error('upstream down');
+};
+
+async function testRevalidation() {
+  let loads = 0;
+  const loader = async () => `new ${++loads}`;
+  
+  const fresh = createCache('feed', 'old', MINUTE);
+  assert.equal((await fresh.getOrRevalidate('feed', loader)).data, 'old');
+  assert.equal(loads, 0, 'fresh entries do not run the loader');
+  
+  const stale = createCache('feed', 'old', 60 * MINUTE);
+  const staleResult = await stale.getOrRevalidate('feed', loader);
+  assert.equal(staleResult.data, 'old');
+  assert.equal(staleResult.stale, true);
+  await stale.pending.get('feed');
+  assert.equal(stale.get('feed'), 'new 1', 'stale entries are refreshed in the background');
+  
+  const expired = createCache('feed', 'old', 2 * 24 * 60 * MINUTE);
+  assert.equal((await expired.getOrRevalidate('feed', loader)).data, 'new 2', 'expired entries wait for the loader');
+  
+  console.log('✅ Revalidation: fresh served, stale refreshed in background, expired reloaded');
+}
+
+async function testFallbacks() {
+  const expired = createCache('feed', 'last good', 2 * 24 * 60 * MINUTE);
+  const result = await expired.getOrRevalidate('feed', failingLoader);
+  assert.equal(result.data, 'last good', 'a failed load serves the last good data');
+  assert.equal(result.stale, true);
+  
+  await assert.rejects(createCache('other', 'x', 0).getOrRevalidate('feed', failingLoader), /upstream down/, 'no data at all: the error is thrown');
+  
+  const forced = createCache('feed', 'last good', MINUTE);
+  let loads = 0;
+  assert.equal((await forced.getOrRevalidate('feed', async () => `new ${++loads}`, undefined, { force: true })).data, 'new 1', 'force runs the loader for fresh entries');
+  
+  const forcedFailure = await forced.getOrRevalidate('feed', failingLoader, undefined, { force: true });
+  assert.equal(forcedFailure.data, 'new 1', 'a failed forced refresh serves the stored data');
+  assert.equal(forcedFailure.stale, true);
+  
+  console.log('✅ Fallbacks: last good data served when loading fails, forced or not');
+}
+
+async function testBackend(name, createBackend) {
+  const cache = new SimpleCache(30 * MINUTE, createBackend(10), DAY);
+  cache.backend.write('fresh', createEntry('fresh data', MINUTE));
+  cache.backend.write('stale', createEntry('stale data', 60 * MINUTE));
+  cache.backend.write('expired', createEntry('expired data', 2 * DAY));
+  
+  const fresh = cache.getEntry('fresh');
+  assert.equal(fresh.data, 'fresh data');
+  assert.equal(fresh.isFresh, true);
+  assert.equal(cache.get('fresh'), 'fresh data');
+  
+  const stale = cache.getEntry('stale');
+  assert.equal(stale.isFresh, false);
+  assert.equal(stale.isStale, true);
+  assert.equal(cache.get('stale'), null, 'get() only returns fresh data');
+  assert.equal(cache.getStale('stale'), 'stale data');
+  
+  const expired = cache.getEntry('expired');
+  assert.equal(expired.isFresh, false);
+  assert.equal(expired.isStale, false);
+  assert.equal(cache.getStale('expired'), 'expired data', 'expired entries stay readable as a last resort until evicted');
+  
+  // Over the cap the expired entry goes first, even though it was written last
+  const capped = createBackend(2);
+  capped.write('older', createEntry('older data', 20 * MINUTE));
+  capped.write('newer', createEntry('newer data', 10 * MINUTE));
+  capped.write('expired', createEntry('expired data', 2 * DAY));
+  
+  // Then the oldest entry makes room for a new one
+  capped.write('newest', createEntry('newest data', 0));
+  
+  assert.equal(capped.read('expired'), null, 'expired entries are evicted once over the cap');
+  assert.equal(capped.read('older'), null, 'the oldest entry is evicted once over the cap');
+  assert.equal(capped.read('newer').data, 'newer data');
+  assert.equal(capped.read('newest').data, 'newest data');
+  
+  console.log(`✅ ${name} backend: fresh, stale and expired reads, eviction over the cap`);
+}
+
+async function testBackends() {
+  await testBackend('Memory', maxEntries => new MemoryCacheBackend(maxEntries));
+  
+  const directory = mkdtempSync(join(tmpdir(), 'eu-rss-cache-test-'));
+  
+  try {
+    let run = 0;
+    await testBackend('File', maxEntries => new FileCacheBackend(join(directory, String(++run)), maxEntries));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+try {
+  console.log('=== Cache Tests ===\n');
+  await testRevalidation();
+  await testFallbacks();
+  await testBackends();
+  console.log('\n✅ All cache tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
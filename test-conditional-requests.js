@@ -0,0 +1,110 @@
+/**
+ * Test for conditional requests (ETag / Last-Modified) in the API handler
+ * Runs offline against a feed registered with in-memory items
+ */
+
+import assert from 'assert/strict';
+import handler from './api/[feed].js';
+import { registerFeed } from './utils/feed-registry.js';
+
+let items = [
+  { title: 'Old news', link: 'https://example.org/1', guid: 'https://example.org/1', pubDate: 'Wed, 01 Jan 2020 00:00:00 GMT' }
+];
+let description = 'Test feed';
+
+registerFeed({
+  id: 'conditional-test',
+  name: 'Conditional Test',
+  scrape: async () => items,
+  channelInfo: () => ({ title: 'Conditional Test', description, link: 'https://example.org' })
+});
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+async function request(headers = {}, query = {}) {
+  const res = createResponse();
+  await handler({ query: { feed: 'conditional-test', ...query }, headers }, res);
+  return res;
+}
+
+async function testUnchangedItems() {
+  const first = await request();
+  assert.equal(first.statusCode, 200);
+  
+  const lastModified = first.headers['last-modified'];
+  assert.equal(lastModified, 'Wed, 01 Jan 2020 00:00:00 GMT', 'Last-Modified is the newest pubDate');
+  assert.ok(first.body.includes(`<lastBuildDate>${lastModified}</lastBuildDate>`), 'lastBuildDate follows the items');
+  
+  assert.equal((await request({ 'if-none-match': first.headers.etag })).statusCode, 304);
+  assert.equal((await request({ 'if-modified-since': lastModified })).statusCode, 304);
+  
+  // Another instance re-scraping the same items answers the same validators
+  const refreshed = await request({ 'if-none-match': first.headers.etag }, { clearCache: 'true' });
+  assert.equal(refreshed.statusCode, 304, 'a re-scraped, unchanged item set still matches the ETag');
+  assert.equal(refreshed.headers['last-modified'], lastModified);
+  
+  console.log('✅ Unchanged items: 304 for matching ETag and Last-Modified, also after a re-scrape');
+}
+
+async function testChangedItems() {
+  const before = await request();
+  
+  items = [{ title: 'Backdated news', link: 'https://example.org/2', guid: 'https://example.org/2', pubDate: 'Tue, 31 Dec 2019 00:00:00 GMT' }, ...items];
+  
+  // The newest pubDate is unchanged, so only the ETag tells the item sets apart
+  const after = await request({ 'if-none-match': before.headers.etag, 'if-modified-since': before.headers['last-modified'] }, { clearCache: 'true' });
+  assert.equal(after.statusCode, 200, 'If-None-Match takes precedence over If-Modified-Since');
+  assert.notEqual(after.headers.etag, before.headers.etag);
+  assert.equal(after.headers['last-modified'], before.headers['last-modified']);
+  
+  items = [{ title: 'New news', link: 'https://example.org/3', guid: 'https://example.org/3', pubDate: 'Thu, 02 Jan 2020 08:00:00 GMT' }, ...items];
+  
+  const newer = await request({ 'if-modified-since': after.headers['last-modified'] }, { clearCache: 'true' });
+  assert.equal(newer.statusCode, 200, 'a newer item moves Last-Modified forward');
+  assert.equal(newer.headers['last-modified'], 'Thu, 02 Jan 2020 08:00:00 GMT');
+  
+  console.log('✅ Changed items: new ETag for backdated items, newer Last-Modified for new ones');
+}
+
+async function testChangedChannelInfo() {
+  const before = await request();
+  
+  description = 'Test feed (failed sources: example)';
+  
+  const after = await request({ 'if-none-match': before.headers.etag }, { clearCache: 'true' });
+  assert.equal(after.statusCode, 200, 'channel info is part of the ETag');
+  assert.notEqual(after.headers.etag, before.headers.etag);
+  
+  console.log('✅ Changed channel info: new ETag with the same items');
+}
+
+try {
+  console.log('=== Conditional Request Tests ===\n');
+  await testUnchangedItems();
+  await testChangedItems();
+  await testChangedChannelInfo();
+  console.log('\n✅ All conditional request tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,186 @@
+/**
+ * Offline tests for the ECA NewsService feed
+ * Topic tests run against saved HTML in fixtures/
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { parseECAFilters, parseECATopics, resolveTopics, buildSearchInput, parseSharePointContext, processECAApiResponse, parseReportReference, parseECAArticle, enrichItemsBatch, getECAChannelInfoAPI } from './utils/eca-scraper-api.js';
+import { cache } from './utils/http-client.js';
+import { generateRSSItem, generateJSONFeedItem } from './utils/rss-builder.js';
+
+const topicsHtml = readFileSync(new URL('./fixtures/eca-topics.html', import.meta.url), 'utf8');
+const articleHtml = readFileSync(new URL('./fixtures/eca-article.html', import.meta.url), 'utf8');
+const newsPageHtml = readFileSync(new URL('./fixtures/eca-all-news.html', import.meta.url), 'utf8');
+const searchResults = JSON.parse(readFileSync(new URL('./eca-api-raw-response.json', import.meta.url), 'utf8'));
+
+function testTopics() {
+  const topics = parseECATopics(topicsHtml);
+  
+  assert.deepEqual(topics, {
+    'agriculture-rural-development': 'Agriculture and rural development',
+    'energy-environment-climate-action': 'Energy, environment and climate action',
+    'fraud': 'Fraud',
+    'regional-policy-cohesion': 'Regional policy and cohesion'
+  }, 'only topic pages are listed, navigation and downloads are skipped');
+  
+  const { resolved, unknown } = resolveTopics(['agriculture', 'Energy, environment and climate action', 'FRAUD', 'policy', 'space'], topics);
+  
+  assert.deepEqual(resolved, ['Agriculture and rural development', 'Energy, environment and climate action', 'Fraud', 'Regional policy and cohesion']);
+  assert.deepEqual(unknown, ['space']);
+  
+  console.log('✅ Topics: discovered from the topics page and matched by slug, label or keyword');
+}
+
+async function testFilters() {
+  const filters = await parseECAFilters({ from: '2025-01-01', to: '2025-06-30' });
+  const searchInput = buildSearchInput(filters);
+  
+  assert.deepEqual(searchInput.WebsiteTopics, []);
+  assert.equal(searchInput.StartDate, `/Date(${Date.UTC(2025, 0, 1)})/`);
+  assert.equal(searchInput.EndDate, `/Date(${Date.UTC(2025, 5, 30, 23, 59, 59, 999)})/`, 'the end date includes the whole day');
+  
+  const unfiltered = buildSearchInput(await parseECAFilters({}));
+  assert.equal(unfiltered.StartDate, null);
+  assert.equal(unfiltered.EndDate, null);
+  
+  for (const query of [{ from: '2025-02-30' }, { from: '2025-13-01' }, { to: 'yesterday' }, { from: '2025-07-01', to: '2025-06-30' }]) {
+    await assert.rejects(parseECAFilters(query), error => error.status === 400, `rejects ${JSON.stringify(query)}`);
+  }
+  
+  const channelInfo = getECAChannelInfoAPI({ topics: ['Fraud'], startDate: filters.startDate });
+  assert.ok(channelInfo.description.endsWith('(topics: Fraud; from 2025-01-01)'));
+  
+  console.log('✅ Filters: date range mapped to the Search input, invalid dates rejected with 400');
+}
+
+function testSharePointContext() {
+  const context = parseSharePointContext(newsPageHtml);
+  
+  assert.ok(context.digestValue.startsWith('0xC1BAC43C'), 'the page context digest replaces the "noDigest" form field');
+  assert.ok(context.digestValue.endsWith('12 Aug 2025 06:08:47 -0000'));
+  assert.equal(context.siteUrl, 'https://www.eca.europa.eu');
+  
+  const withFormDigest = newsPageHtml.replace('value="noDigest"', 'value="0xFORM,12 Aug 2025 06:10:00 -0000"');
+  assert.equal(parseSharePointContext(withFormDigest).digestValue, '0xFORM,12 Aug 2025 06:10:00 -0000');
+  
+  assert.deepEqual(parseSharePointContext('<html><body></body></html>'), { digestValue: null, siteUrl: null });
+  
+  console.log('✅ SharePoint context: form digest and site URL read without a browser');
+}
+
+function testSearchResults() {
+  const items = processECAApiResponse(searchResults, 'https://www.eca.europa.eu');
+  
+  assert.equal(items.length, 10);
+  assert.equal(items[0].link, 'https://www.eca.europa.eu/en/news/NEWS-JOURNAL-2025-01');
+  assert.equal(items[0].pubDate, 'Mon, 30 Jun 2025 08:00:00 GMT');
+  assert.equal(items[0].enclosure, 'https://www.eca.europa.eu/ECAHTMLNews/NEWS-JOURNAL-2025-01/NEWS.png');
+  
+  const byLink = Object.fromEntries(items.map(item => [item.link, item]));
+  assert.equal(byLink['https://www.eca.europa.eu/en/news/NEWS-SR-2025-15'].title, 'Special Report 15/2025');
+  assert.equal(byLink['https://www.eca.europa.eu/en/news/news-rv-2025-03'].title, 'Review 3/2025', 'page name case is kept in the link');
+  assert.equal(byLink['https://www.eca.europa.eu/en/news/NEWS2025_07_NEWSLETTER_02'].title, '2025 07 Newsletter 02');
+  assert.equal(processECAApiResponse([{ Title: 'NEWS-EU-BUDGET-2025' }])[0].title, 'EU Budget 2025', 'acronyms stay upper case');
+  
+  for (const [index, result] of searchResults.entries()) {
+    const item = items.find(candidate => candidate.link === `https://www.eca.europa.eu/en/news/${result.Title}`);
+    assert.ok(item, `result ${index} links to the news page named after its Title`);
+    assert.ok(item.title && !item.title.startsWith('NEWS'), `result ${index} gets a readable title`);
+    assert.equal(item.enclosure, `https://www.eca.europa.eu${result.ImageUrl}`);
+  }
+  
+  console.log('✅ Search results: links, readable titles, dates and images from the API response');
+}
+
+function testReports() {
+  assert.deepEqual(parseReportReference('NEWS-SR-2025-15'), { code: 'SR-2025-15', type: 'Special Report', number: '15/2025' });
+  assert.deepEqual(parseReportReference('news-rv-2025-3'), { code: 'RV-2025-03', type: 'Review', number: '3/2025' });
+  assert.equal(parseReportReference('NEWS-OP-2025-02').type, 'Opinion');
+  assert.deepEqual(parseReportReference('NEWS-AR-2024'), { code: 'AR-2024', type: 'Annual Report', number: '2024' });
+  assert.equal(parseReportReference('NEWS2025_07_NEWSLETTER_02'), null);
+  assert.equal(parseReportReference('NEWS-JOURNAL-2025-01'), null);
+  
+  const items = processECAApiResponse(searchResults);
+  const categories = Object.fromEntries(items.map(item => [item.link.split('/').pop(), item.category]));
+  
+  assert.equal(categories['NEWS-SR-2025-15'], 'Special Report');
+  assert.equal(categories['NEWS-RV-2025-04'], 'Review');
+  assert.equal(categories['NEWS-JOURNAL-2025-01'], 'ECA Journal');
+  assert.equal(categories['NEWS2025_07_NEWSLETTER_01'], 'Newsletter');
+  
+  const report = items.find(item => item.reportNumber === 'SR-2025-16');
+  assert.deepEqual(report.categories, ['SR-2025-16']);
+  
+  console.log('✅ Reports: number and type identified from the page name');
+}
+
+function testArticle() {
+  const article = parseECAArticle(articleHtml);
+  
+  assert.equal(article.title, 'Forest fires: unclear results of EU-funded measures');
+  assert.equal(parseECAArticle(articleHtml.replace(/<meta property="og:title"[^>]*>/, '')).title,
+    'Forest fires: unclear results of EU-funded measures', 'scripts inside the heading are ignored');
+  assert.ok(article.description.startsWith('More EU money is spent on prevention measures on the ground'));
+  assert.ok(article.description.includes('according to a new report by the European Court of Auditors'));
+  assert.ok(!article.description.includes('Share'), 'share buttons are removed');
+  assert.ok(article.content.includes('href="https://www.eca.europa.eu/en/publications/SR-2025-16"'), 'links are absolute');
+  
+  assert.deepEqual(article.policyAreas, ['Energy, environment and climate action', 'Agriculture and rural development']);
+  assert.deepEqual(article.pdfs, {
+    EN: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_EN.pdf',
+    FR: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_FR.pdf',
+    DE: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_de.pdf?download=1'
+  });
+  
+  const fallback = parseECAArticle('<html><head><meta name="description" content="Short summary"></head><body></body></html>');
+  assert.equal(fallback.description, 'Short summary');
+  assert.equal(fallback.content, '');
+  
+  console.log('✅ Article: display title, summary and body extracted, page chrome removed');
+}
+
+async function testEnrichmentCache() {
+  const enriched = { guid: 'https://www.eca.europa.eu/en/news/NEWS-SR-2025-16', link: 'https://www.eca.europa.eu/en/news/NEWS-SR-2025-16', title: 'Forest fires', description: '', categories: ['SR-2025-16'], enclosure: 'https://www.eca.europa.eu/ECAHTMLNews/NEWS-SR-2025-16/SR-2025-16.jpg' };
+  cache.set(`eca-article:${enriched.guid}`, {
+    description: 'Stored summary',
+    content: '<p>Stored body</p>',
+    policyAreas: ['Energy, environment and climate action'],
+    pdfs: { FR: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_FR.pdf', EN: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_EN.pdf' }
+  });
+  
+  const [item] = await enrichItemsBatch([enriched]);
+  
+  assert.equal(item.description, 'Stored summary', 'stored articles are not fetched again');
+  assert.equal(item.title, 'Forest fires', 'the listing title is kept when the article has none');
+  assert.deepEqual(item.categories, ['SR-2025-16', 'Energy, environment and climate action'], 'languages are not categories');
+  assert.deepEqual(item.enclosure, { url: 'https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_EN.pdf', type: 'application/pdf' }, 'the English PDF is the enclosure');
+  assert.equal(item.image, 'https://www.eca.europa.eu/ECAHTMLNews/NEWS-SR-2025-16/SR-2025-16.jpg', 'the listing image is kept');
+  assert.deepEqual(item.languageVersions.map(version => version.language), ['fr', 'en']);
+  assert.equal(item.content, '<p>Stored body</p>');
+  
+  const rssItem = generateRSSItem(item);
+  assert.ok(rssItem.includes('<media:content url="https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_FR.pdf" type="application/pdf" lang="fr" />'));
+  assert.ok(!rssItem.includes('<category><![CDATA[FR]]></category>'));
+  assert.ok(rssItem.includes('<enclosure url="https://www.eca.europa.eu/ECAPublications/SR-2025-16/SR-2025-16_EN.pdf" length="0" type="application/pdf" />'));
+  assert.ok(rssItem.includes('<media:content url="https://www.eca.europa.eu/ECAHTMLNews/NEWS-SR-2025-16/SR-2025-16.jpg" medium="image" type="image/jpeg" />'));
+  assert.ok(rssItem.includes('<media:thumbnail url="https://www.eca.europa.eu/ECAHTMLNews/NEWS-SR-2025-16/SR-2025-16.jpg" />'));
+  assert.equal(generateJSONFeedItem(item).image, item.image);
+  
+  console.log('✅ Enrichment: stored articles reused, report PDF, image, language versions and metadata applied');
+}
+
+try {
+  console.log('=== ECA Parsing Tests ===\n');
+  testTopics();
+  await testFilters();
+  testSharePointContext();
+  testSearchResults();
+  testReports();
+  testArticle();
+  await testEnrichmentCache();
+  console.log('\n✅ All ECA parsing tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,149 @@
+/**
+ * Offline tests for ECJ press release parsing
+ * Listing tests run against saved HTML in fixtures/
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { parseECJListing, parseCaseMetadata, extractOperativeText } from './utils/ecj-scraper.js';
+import { generateRSSItem } from './utils/rss-builder.js';
+
+const listingHtml = readFileSync(new URL('./fixtures/ecj-listing.html', import.meta.url), 'utf8');
+const pressReleaseText = readFileSync(new URL('./fixtures/ecj-press-release.txt', import.meta.url), 'utf8');
+
+function testListing() {
+  const { releases, unmatched, nextPageUrl } = parseECJListing(listingHtml);
+  
+  assert.equal(releases.length, 8);
+  assert.deepEqual(releases.map(release => release.pressNumber), ['No 105/2025', 'No 104/2025', 'No 103/2025', 'No 102/2025', 'No 101/2025', 'No 100/2025', 'No 99/2025', 'No 98/2025']);
+  
+  const [first, second, third, fourth, fifth, sixth, seventh, eighth] = releases;
+  
+  assert.equal(first.link, 'https://curia.europa.eu/jcms/upload/docs/application/pdf/2025-07/cp250105en.pdf');
+  assert.equal(first.date, '31 July 2025');
+  assert.equal(first.domain, 'Rule of law');
+  assert.equal(first.summary, 'Rule of law: Poland failed to fulfil its obligations by lowering the retirement age of judges.');
+  
+  assert.equal(second.summaryMatched, false, 'a release without a summary does not take its neighbour\'s');
+  assert.equal(second.domain, null);
+  
+  assert.equal(third.domain, 'Competition', 'summaries nested in the release are used');
+  assert.ok(third.summary.includes('Advocate General proposes'));
+  
+  assert.equal(fourth.summaryMatched, true, 'detached summaries are matched by press release PDF');
+  assert.ok(fourth.summary.startsWith('Data protection: the right to be forgotten'));
+  
+  // Shared summary section: each summary goes to the release it names, never by position
+  assert.equal(fifth.summaryMatched, false, 'a summary linking to a later release is not paired by position');
+  assert.equal(sixth.domain, 'Agriculture', 'shared summaries are matched by press release PDF');
+  assert.equal(seventh.domain, 'Transport');
+  assert.equal(eighth.summaryMatched, false, 'a shared summary naming no release is left out');
+  
+  assert.deepEqual(unmatched, ['No 104/2025', 'No 101/2025', 'No 98/2025']);
+  assert.equal(nextPageUrl, 'https://curia.europa.eu/jcms/jcms/Jo2_7052/en/?page=2');
+  
+  console.log('✅ Listing: summaries paired by structure and press number, unmatched releases flagged');
+}
+
+function testSharedSummaryGap() {
+  // Shared section with summaries for 10 and 8 only; the one for 8 names no release
+  const html = `<div class="cp_list">
+    <div class="cp_item"><div class="cp_date">No 10/2025 : 3 February 2025</div><div class="cp_title"><a href="/docs/cp250010en.pdf">Case C-10/24</a></div></div>
+    <div class="cp_item"><div class="cp_date">No 9/2025 : 31 January 2025</div><div class="cp_title"><a href="/docs/cp250009en.pdf">Case C-9/24</a></div></div>
+    <div class="cp_item"><div class="cp_date">No 8/2025 : 30 January 2025</div><div class="cp_title"><a href="/docs/cp250008en.pdf">Case C-8/24</a></div></div>
+  </div>
+  <div class="cp_summaries">
+    <div class="cp_domain">Competition</div><div class="cp_summary">Summary of 10.</div><a href="/docs/cp250010en.pdf">Press release</a>
+    <div class="cp_domain">Taxation</div><div class="cp_summary">Summary of 8.</div>
+  </div>`;
+  
+  const { releases, unmatched } = parseECJListing(html);
+  
+  assert.equal(releases[0].summary, 'Competition: Summary of 10.');
+  assert.equal(releases[1].summaryMatched, false, 'release 9 does not take the next summary');
+  assert.equal(releases[2].summaryMatched, false);
+  assert.deepEqual(unmatched, ['No 9/2025', 'No 8/2025']);
+  
+  console.log('✅ Shared summaries: a gap in the section does not shift summaries onto other releases');
+}
+
+function testOperativeText() {
+  const paragraphs = extractOperativeText(pressReleaseText);
+  const text = paragraphs.join('\n');
+  
+  assert.equal(paragraphs.length, 3);
+  assert.ok(paragraphs[0].startsWith('Independence of judges: by lowering the retirement age of Supreme Court judges, Poland failed'), 'wrapped lines are joined');
+  assert.ok(paragraphs[2].startsWith('The Court finds that the measure'), 'text continues after a page footer');
+  
+  assert.ok(!text.includes('PRESS RELEASE'), 'header is removed');
+  assert.ok(!text.includes('Judgment of the Court in Case'), 'title line is removed');
+  assert.ok(!text.includes('Communications Directorate'), 'page footer is removed');
+  assert.ok(!text.includes('NOTE:'), 'disclaimers are removed');
+  assert.ok(!text.includes('Press contact'), 'contact block is removed');
+  
+  console.log('✅ PDF text: operative paragraphs kept, header, footer and disclaimers removed');
+}
+
+function testCaseMetadata() {
+  const judgment = parseCaseMetadata({
+    title: 'Judgment of the Court in Case C-123/24 | Commission v Poland (Independence of judges)',
+    summary: 'Rule of law: Poland failed to fulfil its obligations',
+    domain: 'Rule of law',
+    pressNumber: 'No 101/2025'
+  });
+  
+  assert.deepEqual(judgment.caseNumbers, ['C-123/24']);
+  assert.equal(judgment.parties, 'Commission v Poland');
+  assert.equal(judgment.court, 'Court of Justice');
+  assert.equal(judgment.documentType, 'Judgment');
+  assert.equal(judgment.domain, 'Rule of law');
+  assert.equal(judgment.pressNumber, 'No 101/2025');
+  
+  const opinion = parseCaseMetadata({ title: 'Advocate General\'s Opinion in Joined Cases C‑12/24 and C-13/24 P, Meta Platforms v Commission' });
+  
+  assert.deepEqual(opinion.caseNumbers, ['C-12/24', 'C-13/24 P'], 'non-breaking hyphens and appeals are normalised');
+  assert.equal(opinion.documentType, 'Opinion of the Advocate General');
+  assert.equal(opinion.parties, 'Meta Platforms v Commission');
+  
+  const order = parseCaseMetadata({ title: 'Order of the General Court in Case T-45/25 | Company v EUIPO' });
+  
+  assert.equal(order.court, 'General Court');
+  assert.equal(order.documentType, 'Order');
+  
+  console.log('✅ Case metadata: case numbers, parties, court, document type and domain parsed');
+}
+
+function testCaseElements() {
+  const caseInfo = parseCaseMetadata({
+    title: 'Judgment of the General Court in Case T-45/25 | Company v EUIPO',
+    pressNumber: 'No 102/2025'
+  });
+  const xml = generateRSSItem({
+    title: 'Judgment',
+    link: 'https://curia.europa.eu/jcms/upload/docs/application/pdf/2025-08/cp250102en.pdf',
+    category: caseInfo.documentType,
+    categories: [caseInfo.court, ...caseInfo.caseNumbers],
+    caseInfo
+  });
+  
+  assert.ok(xml.includes('<category><![CDATA[T-45/25]]></category>'));
+  assert.ok(xml.includes('<curia:case>T-45/25</curia:case>'));
+  assert.ok(xml.includes('<curia:parties>Company v EUIPO</curia:parties>'));
+  assert.ok(xml.includes('<curia:court>General Court</curia:court>'));
+  assert.ok(xml.includes('<curia:pressRelease>No 102/2025</curia:pressRelease>'));
+  
+  console.log('✅ RSS: case metadata rendered as categories and curia:* elements');
+}
+
+try {
+  console.log('=== ECJ Parsing Tests ===\n');
+  testListing();
+  testSharedSummaryGap();
+  testOperativeText();
+  testCaseMetadata();
+  testCaseElements();
+  console.log('\n✅ All ECJ parsing tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
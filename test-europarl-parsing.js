@@ -0,0 +1,106 @@
+/**
+ * Fixture test for Europarl written questions parsing
+ * Runs offline against saved HTML in fixtures/ and a local server for document fetches
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { createServer } from 'http';
+import { parseEuroparlListing, extractDocumentText, parseQuestionMetadata, buildQuestionItem, enrichQuestions } from './utils/europarl-scraper.js';
+
+const listingHtml = readFileSync(new URL('./fixtures/europarl-questions.html', import.meta.url), 'utf8');
+const questionHtml = readFileSync(new URL('./fixtures/europarl-question.html', import.meta.url), 'utf8');
+const answerHtml = readFileSync(new URL('./fixtures/europarl-answer.html', import.meta.url), 'utf8');
+
+function testListing() {
+  const questions = parseEuroparlListing(listingHtml);
+  
+  assert.equal(questions.length, 2, 'entries without a question number are skipped');
+  
+  assert.equal(questions[0].questionNumber, 'E-001234/2025');
+  assert.equal(questions[0].title, 'Grid connection delays for renewable energy projects');
+  assert.equal(questions[0].htmlUrl, 'https://www.europarl.europa.eu/doceo/document/E-10-2025-001234_EN.html');
+  assert.equal(questions[0].pdfUrl, 'https://www.europarl.europa.eu/doceo/document/E-10-2025-001234_EN.pdf');
+  assert.equal(questions[0].author, 'Anna Kowalska');
+  assert.equal(questions[0].date, '10-03-2025');
+  
+  assert.equal(questions[1].questionNumber, 'P-000987/2025');
+  assert.equal(questions[1].pdfUrl, null);
+  assert.equal(questions[1].date, '04/03/2025');
+  
+  console.log('✅ Listing: 2 questions parsed with numbers, links and dates');
+}
+
+function testMetadata() {
+  const metadata = parseQuestionMetadata(extractDocumentText(questionHtml));
+  
+  assert.equal(metadata.subject, 'Grid connection delays for renewable energy projects');
+  assert.equal(metadata.author, 'Anna Kowalska');
+  assert.equal(metadata.politicalGroup, 'Renew');
+  assert.equal(metadata.addressee, 'Council of the EU', 'the Commission mentioned in the body is not the addressee');
+  assert.equal(metadata.date, '10.3.2025');
+  
+  assert.equal(parseQuestionMetadata('Rule 144\nThe question was sent to the Commission.').addressee, '', 'no header without a subject line');
+  
+  console.log('✅ Metadata: subject, author, group, addressee and date from the header');
+}
+
+function testQuestionItem() {
+  const [question] = parseEuroparlListing(listingHtml);
+  const item = buildQuestionItem(question, {
+    questionText: extractDocumentText(questionHtml),
+    answerText: extractDocumentText(answerHtml)
+  });
+  
+  assert.equal(item.title, 'Grid connection delays for renewable energy projects (E-001234/2025)');
+  assert.ok(item.description.startsWith('Project developers report'), 'question header is stripped');
+  assert.ok(item.description.includes('Answer: The Council is working'), 'answer header is stripped');
+  assert.ok(!item.content.includes('Last updated'), 'page footer is stripped');
+  assert.ok(!item.content.includes('Rule 144'));
+  assert.ok(item.content.includes('<h3>Answer (02 May 2025)</h3>'));
+  assert.equal(item.pubDate, 'Mon, 10 Mar 2025 00:00:00 GMT');
+  assert.equal(item.answerDate, 'Fri, 02 May 2025 00:00:00 GMT');
+  assert.deepEqual(item.categories, ['Council of the EU', 'Answered', 'Renew']);
+  assert.deepEqual(item.enclosure, { url: question.pdfUrl, type: 'application/pdf' });
+  
+  console.log('✅ Question item: headers stripped, answer date and categories set');
+}
+
+async function testEnrichment() {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  try {
+    const documentUrl = `http://127.0.0.1:${server.address().port}/doceo/document/E-10-2025-000001_EN.html`;
+    const question = { questionNumber: 'E-000001/2025', title: 'Missing documents', htmlUrl: documentUrl, pdfUrl: null, author: '', date: '10-03-2025' };
+    
+    const [item] = await enrichQuestions([question], Date.now() + 10000);
+    assert.deepEqual(requests, ['/doceo/document/E-10-2025-000001_EN.html', '/doceo/document/E-10-2025-000001_EN.pdf'], '404s are not retried');
+    assert.equal(item.title, 'Missing documents (E-000001/2025)', 'failed questions keep their listing data');
+    
+    requests.length = 0;
+    const items = await enrichQuestions([question, { ...question, questionNumber: 'E-000002/2025' }], Date.now() - 1);
+    assert.equal(requests.length, 0, 'nothing is fetched once the time budget is spent');
+    assert.equal(items.length, 2);
+  } finally {
+    server.close();
+  }
+  
+  console.log('✅ Enrichment: 404s fail fast, questions past the time budget keep their listing data');
+}
+
+try {
+  console.log('=== Europarl Parsing Tests ===\n');
+  testListing();
+  testMetadata();
+  testQuestionItem();
+  await testEnrichment();
+  console.log('\n✅ All Europarl parsing tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,49 @@
+/**
+ * Test script for European Parliament written questions scraper
+ * Run locally to test the implementation before deployment
+ */
+
+import { scrapeEuroparlQuestions, getEuroparlChannelInfo } from './utils/europarl-scraper.js';
+import { generateRSSFeed } from './utils/rss-builder.js';
+
+async function testEuroparlScraper() {
+  try {
+    console.log('=== Testing Europarl Q&A Scraper ===\n');
+    
+    // Test scraping
+    console.log('1. Scraping written questions...');
+    const items = await scrapeEuroparlQuestions();
+    
+    console.log(`\n✅ Successfully scraped ${items.length} items\n`);
+    
+    // Show first item details
+    if (items.length > 0) {
+      console.log('=== Sample Item ===');
+      console.log('Title:', items[0].title);
+      console.log('Link:', items[0].link);
+      console.log('Question:', items[0].questionNumber);
+      console.log('Author:', items[0].author);
+      console.log('Addressee:', items[0].addressee);
+      console.log('Answer date:', items[0].answerDate);
+      console.log('Categories:', [items[0].category, ...items[0].categories].join(', '));
+      console.log('Description:', items[0].description.substring(0, 200) + '...');
+      console.log('');
+    }
+    
+    // Generate RSS XML
+    console.log('2. Generating RSS feed...');
+    const rssXml = generateRSSFeed(getEuroparlChannelInfo(), items);
+    
+    console.log(`\n✅ Generated RSS XML (${rssXml.length} characters)\n`);
+    console.log('=== RSS XML Sample (first 1000 chars) ===');
+    console.log(rssXml.substring(0, 1000) + '...\n');
+    
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the test
+testEuroparlScraper();
@@ -0,0 +1,71 @@
+/**
+ * Test for feed format negotiation in the API handler
+ * Runs offline: an unknown feed id is answered without scraping
+ */
+
+import assert from 'assert/strict';
+import handler from './api/[feed].js';
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+async function negotiate(accept, query = {}) {
+  const res = createResponse();
+  await handler({ query: { feed: 'no-such-feed', ...query }, headers: accept ? { accept } : {} }, res);
+  return res.headers['content-type'].split(';')[0];
+}
+
+async function testAcceptHeader() {
+  assert.equal(await negotiate(null), 'application/rss+xml', 'RSS by default');
+  assert.equal(await negotiate('*/*'), 'application/rss+xml', 'wildcard gets RSS');
+  assert.equal(await negotiate('application/atom+xml'), 'application/atom+xml');
+  assert.equal(await negotiate('application/feed+json'), 'application/feed+json');
+  assert.equal(await negotiate('application/atom+xml, */*;q=0.1'), 'application/atom+xml');
+  
+  // SimplePie's default Accept header lists Atom and RSS at the same quality
+  const simplePie = 'application/atom+xml, application/rss+xml, application/rdf+xml;q=0.9, application/xml;q=0.8, text/xml;q=0.8, text/html;q=0.7, unknown/unknown;q=0.1, application/unknown;q=0.1, */*;q=0.1';
+  assert.equal(await negotiate(simplePie), 'application/rss+xml', 'RSS wins ties');
+  
+  assert.equal(await negotiate('application/rss+xml, application/atom+xml;q=0.9'), 'application/rss+xml');
+  assert.equal(await negotiate('application/rss+xml;q=0.5, application/atom+xml;q=0.9'), 'application/atom+xml');
+  assert.equal(await negotiate('application/rss+xml;q=0.5, application/feed+json, application/atom+xml;q=0.9'), 'application/feed+json');
+  assert.equal(await negotiate('application/*;q=0.8, application/atom+xml;q=0'), 'application/rss+xml', 'explicit q=0 refuses Atom');
+  
+  console.log('✅ Accept header: q-values respected, RSS preferred on ties');
+}
+
+async function testFormatParameter() {
+  assert.equal(await negotiate('application/atom+xml', { format: 'json' }), 'application/feed+json', '?format= overrides Accept');
+  assert.equal(await negotiate('application/atom+xml', { format: 'RSS' }), 'application/rss+xml');
+  
+  console.log('✅ Format parameter: takes precedence over Accept');
+}
+
+try {
+  console.log('=== Feed Format Tests ===\n');
+  await testAcceptHeader();
+  await testFormatParameter();
+  console.log('\n✅ All feed format tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,328 @@
+/**
+ * Fixture tests for the listing/article scrapers
+ * Runs offline against saved pages and API responses in fixtures/, one table row per site
+ */
+
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { parseFrontexListing, parseFrontexArticle } from './utils/frontex-scraper.js';
+import { parseEuropolListing, parseEuropolArticle } from './utils/europol-scraper.js';
+import { parseEIBListing, parseEIBArticle } from './utils/eib-scraper.js';
+import { parseEDPSListing, parseEDPSArticle } from './utils/edps-scraper.js';
+import { parseOmbudsmanListing, parseOmbudsmanArticle } from './utils/ombudsman-scraper.js';
+import { parseECBListing, parseECBArticle } from './utils/ecb-scraper.js';
+import { parsePressCornerResults } from './utils/commission-scraper.js';
+import { generateRSSItem, parseSiteDate } from './utils/rss-builder.js';
+
+function readFixture(name) {
+  const text = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+const startsWith = prefix => value => typeof value === 'string' && value.startsWith(prefix);
+const includes = (...parts) => value => parts.every(part => value.includes(part));
+const excludes = (...parts) => value => parts.every(part => !value.includes(part));
+const allOf = (...checks) => value => checks.every(check => check(value));
+
+/**
+ * Expected fields are compared with deepEqual, or passed to a check function
+ */
+function assertFields(actual, expected, label) {
+  for (const [field, value] of Object.entries(expected)) {
+    if (typeof value === 'function') {
+      assert.ok(value(actual[field]), `${label}: unexpected ${field} ${JSON.stringify(actual[field])}`);
+    } else {
+      assert.deepEqual(actual[field], value, `${label}: ${field}`);
+    }
+  }
+}
+
+const SCRAPERS = [
+  {
+    name: 'Frontex',
+    parseListing: parseFrontexListing,
+    listing: 'frontex-news.html',
+    items: [
+      {
+        title: 'EU external borders: Irregular crossings down in first seven months of 2025',
+        link: 'https://www.frontex.europa.eu/media-centre/news/news-release/eu-external-borders-irregular-crossings-down-in-first-seven-months-of-2025-Xn4Kp2',
+        category: 'News release',
+        pubDate: 'Tue, 12 Aug 2025 00:00:00 GMT',
+        description: startsWith('The number of irregular border crossings')
+      },
+      // Category from the URL path
+      { category: 'Focus' },
+      // Description falls back to the title
+      {
+        category: 'Press release',
+        pubDate: 'Tue, 29 Jul 2025 00:00:00 GMT',
+        description: 'Frontex and Moldova sign new working arrangement'
+      }
+    ],
+    parseArticle: parseFrontexArticle,
+    article: 'frontex-article.html',
+    expectedArticle: {
+      description: startsWith('The number of irregular border crossings'),
+      content: allOf(
+        includes(
+          '<a href="https://www.frontex.europa.eu/what-we-do/monitoring-and-risk-analysis/migratory-map/">Western Balkans</a>',
+          '<li>Central Mediterranean: 35 000 detections</li>'
+        ),
+        excludes('trackPageView')
+      ),
+      pubDate: 'Tue, 12 Aug 2025 00:00:00 GMT'
+    }
+  },
+  {
+    name: 'Europol',
+    parseListing: parseEuropolListing,
+    listing: 'europol-newsroom.html',
+    items: [
+      {
+        title: '34 arrests in crackdown on cocaine trafficking network',
+        link: 'https://www.europol.europa.eu/media-press/newsroom/news/34-arrests-in-crackdown-on-cocaine-trafficking-network',
+        categories: ['Drug trafficking', 'Money laundering'],
+        pubDate: 'Thu, 14 Aug 2025 00:00:00 GMT',
+        description: startsWith('Law enforcement authorities from five countries')
+      },
+      // Older crime-area URLs are recognised, description falls back to the title
+      {
+        categories: ['Cybercrime'],
+        pubDate: 'Thu, 07 Aug 2025 00:00:00 GMT',
+        description: 'Ransomware affiliates targeted in global operation'
+      }
+    ],
+    parseArticle: parseEuropolArticle,
+    article: 'europol-article.html',
+    expectedArticle: {
+      description: startsWith('Law enforcement authorities from five countries'),
+      content: allOf(includes('<li>2.5 tonnes of cocaine seized</li>'), excludes('trackPageView')),
+      crimeAreas: ['Drug trafficking', 'Organised crime'],
+      pubDate: 'Thu, 14 Aug 2025 00:00:00 GMT'
+    }
+  },
+  {
+    name: 'EIB',
+    parseListing: parseEIBListing,
+    listing: 'eib-press.html',
+    items: [
+      {
+        title: 'EIB backs offshore wind in the Baltic Sea with €600 million',
+        link: 'https://www.eib.org/en/press/all/2025-321-eib-backs-offshore-wind-in-the-baltic-sea',
+        category: 'Press release',
+        categories: ['Energy', 'Climate and environment'],
+        pubDate: 'Tue, 12 Aug 2025 00:00:00 GMT',
+        description: startsWith('The European Investment Bank is lending')
+      },
+      {
+        category: 'News',
+        categories: [],
+        pubDate: 'Tue, 05 Aug 2025 00:00:00 GMT'
+      }
+    ],
+    parseArticle: parseEIBArticle,
+    article: 'eib-article.html',
+    expectedArticle: {
+      description: startsWith('EIB lends €600 million'),
+      content: allOf(
+        includes('<a href="https://www.eib.org/en/projects/topics/energy">energy transition</a>'),
+        excludes('trackPageView')
+      )
+    }
+  },
+  {
+    name: 'EDPS',
+    parseListing: parseEDPSListing,
+    listing: 'edps-press-releases.html',
+    items: [
+      {
+        title: 'EDPS Opinion on the Digital Omnibus',
+        link: 'https://www.edps.europa.eu/press-publications/press-news/press-releases/2025/edps-opinion-on-the-digital-omnibus_en',
+        category: 'Press release',
+        categories: ['Artificial intelligence', 'Legislative consultation'],
+        referenceNumber: 'EDPS/2025/08',
+        pubDate: 'Wed, 30 Jul 2025 00:00:00 GMT',
+        description: startsWith('The EDPS calls on the co-legislators')
+      },
+      {
+        category: 'News',
+        referenceNumber: undefined,
+        pubDate: 'Tue, 15 Jul 2025 00:00:00 GMT'
+      }
+    ],
+    parseArticle: parseEDPSArticle,
+    article: 'edps-article.html',
+    expectedArticle: {
+      description: startsWith('The European Data Protection Supervisor (EDPS) today published'),
+      content: includes(
+        '<blockquote>',
+        'href="https://www.edps.europa.eu/data-protection/our-work/publications/opinions/2025-07-30-digital-omnibus_en"'
+      )
+    }
+  },
+  {
+    name: 'European Ombudsman',
+    parseListing: parseOmbudsmanListing,
+    listing: 'ombudsman-news.html',
+    items: [
+      // Type from the URL path
+      {
+        link: 'https://www.ombudsman.europa.eu/en/press-release/en/201234',
+        category: 'Press release',
+        categories: ['Transparency'],
+        caseNumber: '1234/2025/MIK',
+        pubDate: 'Tue, 12 Aug 2025 00:00:00 GMT'
+      },
+      // Description falls back to the title
+      {
+        category: 'Inquiry opening',
+        pubDate: 'Fri, 01 Aug 2025 00:00:00 GMT',
+        description: 'How Frontex ensures respect for fundamental rights'
+      },
+      { category: 'Decision' }
+    ],
+    parseArticle: parseOmbudsmanArticle,
+    article: 'ombudsman-article.html',
+    expectedArticle: {
+      description: includes('constituted maladministration'),
+      content: allOf(
+        includes('<a href="https://www.ombudsman.europa.eu/en/decision/en/201230">decision</a>'),
+        excludes('<h1>')
+      )
+    }
+  },
+  {
+    name: 'ECB',
+    parseListing: parseECBListing,
+    listing: 'ecb-press-releases.html',
+    items: [
+      {
+        title: 'Monetary policy decisions',
+        link: 'https://www.ecb.europa.eu/press/pr/date/2025/html/ecb.mp250724~50bc70e13f.en.html',
+        category: 'Monetary policy decisions',
+        pubDate: 'Thu, 24 Jul 2025 00:00:00 GMT'
+      },
+      // Subtitle used as teaser
+      {
+        category: 'Press release',
+        description: 'Credit standards for loans to firms broadly unchanged'
+      },
+      // Absolute links are kept
+      { link: 'https://www.bankingsupervision.europa.eu/press/pr/date/2025/html/ssm.pr250715.en.html' }
+    ],
+    parseArticle: parseECBArticle,
+    article: 'ecb-article.html',
+    expectedArticle: {
+      description: startsWith('The Governing Council today decided'),
+      content: allOf(
+        includes('href="https://www.ecb.europa.eu/press/press_conference/monetary-policy-statement/2025/html/index.en.html"'),
+        excludes('Directorate General Communications')
+      )
+    }
+  },
+  {
+    name: 'Commission Press Corner',
+    parseListing: parsePressCornerResults,
+    listing: 'commission-search.json',
+    items: [
+      {
+        title: 'Commission approves €2 billion Spanish scheme to support renewable hydrogen (IP/25/1934)',
+        referenceNumber: 'IP/25/1934',
+        link: 'https://ec.europa.eu/commission/presscorner/detail/en/ip_25_1934',
+        category: 'Press release',
+        author: 'Teresa Ribera',
+        pubDate: 'Tue, 12 Aug 2025 00:00:00 GMT',
+        description: startsWith('The European Commission has approved')
+      },
+      // Type from the reference prefix, speaker from the title
+      {
+        category: 'Statement',
+        author: 'Šefčovič',
+        link: 'https://ec.europa.eu/commission/presscorner/detail/en/statement_25_1920'
+      },
+      {
+        category: 'Speech',
+        author: 'Ursula von der Leyen',
+        pubDate: 'Fri, 08 Aug 2025 00:00:00 GMT'
+      },
+      {
+        category: 'Daily News',
+        author: undefined
+      }
+    ]
+  }
+];
+
+function testScrapers() {
+  for (const scraper of SCRAPERS) {
+    const items = scraper.parseListing(readFixture(scraper.listing));
+    
+    assert.equal(items.length, scraper.items.length, `${scraper.name}: entries without a link are skipped`);
+    
+    items.forEach((item, index) => {
+      assert.equal(item.guid, item.link, `${scraper.name} item ${index}: guid`);
+      assertFields(item, scraper.items[index], `${scraper.name} item ${index}`);
+    });
+    
+    if (scraper.parseArticle) {
+      assertFields(scraper.parseArticle(readFixture(scraper.article)), scraper.expectedArticle, `${scraper.name} article`);
+    }
+    
+    console.log(`✅ ${scraper.name}: ${items.length} listing items${scraper.parseArticle ? ' and article page' : ''} parsed`);
+  }
+}
+
+function testSiteDates() {
+  const dates = [
+    ['2025-08-12', 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    ['2025-08-12T09:30:00+02:00', 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    ['12 August 2025', 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    ['Published on 3 Sept. 2025', 'Wed, 03 Sep 2025 00:00:00 GMT'],
+    ['12.08.2025', 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    ['5/8/2025', 'Tue, 05 Aug 2025 00:00:00 GMT'],
+    ['12-3-2025', 'Wed, 12 Mar 2025 00:00:00 GMT'],
+    ['August 12, 2025', 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    [Date.UTC(2025, 7, 12), 'Tue, 12 Aug 2025 00:00:00 GMT'],
+    ['not a date', null],
+    ['', null]
+  ];
+  
+  for (const [input, expected] of dates) {
+    assert.equal(parseSiteDate(input), expected, `parseSiteDate(${JSON.stringify(input)})`);
+  }
+  
+  console.log(`✅ Dates: ${dates.length} site date formats parsed`);
+}
+
+function testEuropolCategories() {
+  const [item] = parseEuropolListing(readFixture('europol-newsroom.html'));
+  const xml = generateRSSItem(item);
+  
+  assert.ok(xml.includes('<category><![CDATA[News]]></category>'));
+  assert.ok(xml.includes('<category><![CDATA[Drug trafficking]]></category>'));
+  assert.ok(xml.includes('<category><![CDATA[Money laundering]]></category>'));
+  
+  console.log('✅ Europol RSS: crime areas rendered as <category> elements');
+}
+
+function testCommissionSpeakerFromTitle() {
+  const [item] = parsePressCornerResults({
+    docuLanguageListResources: [{ refCode: 'SPEECH/25/1', title: 'Speech by President von der Leyen at the European Parliament Plenary' }]
+  });
+  
+  assert.equal(item.author, 'von der Leyen');
+  
+  console.log('✅ Commission speaker: name particles kept when parsed from the title');
+}
+
+try {
+  console.log('=== Scraper Fixture Tests ===\n');
+  testScrapers();
+  testSiteDates();
+  testEuropolCategories();
+  testCommissionSpeakerFromTitle();
+  console.log('\n✅ All scraper fixture tests passed');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
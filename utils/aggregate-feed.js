@@ -0,0 +1,206 @@
+/**
+ * Aggregate "All Institutions" Feed
+ * Runs every working scraper concurrently and merges the results into one feed,
+ * optionally narrowed by source, category and keyword filters
+ */
+
+import { parseFeedDate, getItemCategories } from './rss-builder.js';
+
+/**
+ * Per-source time budget, kept under the 60s Vercel function limit
+ */
+const SOURCE_TIME_BUDGET = 40000;
+
+/**
+ * Scrape all sources concurrently, returning merged items and the sources that failed
+ */
+async function scrapeAllInstitutions(sources) {
+  console.log(`Aggregate: Scraping ${sources.length} sources concurrently...`);
+  
+  const results = await Promise.allSettled(
+    sources.map(source => withTimeBudget(source.scrape({}), SOURCE_TIME_BUDGET, source.name))
+  );
+  
+  const items = [];
+  const failedSources = [];
+  
+  results.forEach((result, index) => {
+    const source = sources[index];
+    
+    if (result.status === 'rejected') {
+      console.error(`Aggregate: ${source.name} failed:`, result.reason?.message);
+      failedSources.push(source.name);
+      return;
+    }
+    
+    const sourceLink = source.channelInfo().link;
+    result.value.forEach(item => {
+      items.push({
+        ...item,
+        source: { id: source.id, name: source.name, url: sourceLink }
+      });
+    });
+  });
+  
+  const mergedItems = dedupeItems(items)
+    .sort((a, b) => parseFeedDate(b.pubDate) - parseFeedDate(a.pubDate));
+  
+  console.log(`Aggregate: Merged ${mergedItems.length} items (${failedSources.length} sources failed)`);
+  
+  return { items: mergedItems, failedSources };
+}
+
+/**
+ * Build the composite feed for a query: select sources, scrape, merge and filter
+ */
+async function scrapeCompositeFeed(query, availableSources) {
+  const filters = parseFeedFilters(query);
+  const { sources, unknownSources } = selectSources(filters, availableSources);
+  
+  if (unknownSources.length > 0) {
+    const error = new Error(`Unknown sources: ${unknownSources.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  
+  const { items, failedSources } = await scrapeAllInstitutions(sources);
+  
+  if (items.length === 0) {
+    throw new Error(`All sources failed: ${failedSources.join(', ')}`);
+  }
+  
+  return {
+    items: filterItems(items, filters),
+    channelInfo: getAllChannelInfo(failedSources, filters, sources)
+  };
+}
+
+/**
+ * Parse composite feed filters from the query string
+ * e.g. ?sources=eeas,consilium&category=Statement&q=ukraine&exclude=vacancy
+ */
+function parseFeedFilters(query = {}) {
+  const toList = value => [].concat(value || [])
+    .flatMap(entry => entry.split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  
+  return {
+    sources: toList(query.sources).map(source => source.toLowerCase()),
+    categories: toList(query.category),
+    keywords: toList(query.q),
+    excludes: toList(query.exclude)
+  };
+}
+
+/**
+ * Resolve the requested source ids, reporting any that are unknown
+ */
+function selectSources(filters, availableSources) {
+  if (filters.sources.length === 0) {
+    return { sources: availableSources, unknownSources: [] };
+  }
+  
+  const knownIds = availableSources.map(source => source.id);
+  
+  return {
+    sources: availableSources.filter(source => filters.sources.includes(source.id)),
+    unknownSources: filters.sources.filter(id => !knownIds.includes(id))
+  };
+}
+
+/**
+ * Filter items by category and case-insensitive keywords in title and description
+ */
+function filterItems(items, filters) {
+  const categories = filters.categories.map(category => category.toLowerCase());
+  const keywords = filters.keywords.map(keyword => keyword.toLowerCase());
+  const excludes = filters.excludes.map(keyword => keyword.toLowerCase());
+  
+  return items.filter(item => {
+    const text = `${item.title || ''} ${item.description || ''}`.toLowerCase();
+    
+    if (categories.length > 0 && !getItemCategories(item).some(category => categories.includes(category.toLowerCase()))) {
+      return false;
+    }
+    
+    if (keywords.length > 0 && !keywords.some(keyword => text.includes(keyword))) {
+      return false;
+    }
+    
+    return !excludes.some(keyword => text.includes(keyword));
+  });
+}
+
+/**
+ * Describe active filters for the channel title
+ */
+function describeFilters(filters, sources) {
+  const parts = [];
+  
+  if (filters.sources.length > 0) {
+    parts.push(sources
+      .map(source => source.name)
+      .join(' + '));
+  }
+  if (filters.categories.length > 0) parts.push(`category: ${filters.categories.join(', ')}`);
+  if (filters.keywords.length > 0) parts.push(`matching: ${filters.keywords.join(', ')}`);
+  if (filters.excludes.length > 0) parts.push(`excluding: ${filters.excludes.join(', ')}`);
+  
+  return parts.join(' | ');
+}
+
+/**
+ * Reject if a scrape takes longer than its time budget
+ */
+function withTimeBudget(promise, timeout, label) {
+  let timer;
+  
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} exceeded ${timeout / 1000}s time budget`)), timeout);
+  });
+  
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Remove duplicate items by guid, keeping the first occurrence
+ */
+function dedupeItems(items) {
+  const seen = new Set();
+  
+  return items.filter(item => {
+    const key = item.guid || item.link;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get aggregate channel info, echoing filters and listing any failed sources
+ */
+function getAllChannelInfo(failedSources = [], filters = null, sources = []) {
+  const description = 'Combined press releases and news from all European institutional feeds';
+  const filterDescription = filters ? describeFilters(filters, sources) : '';
+  
+  // No feedUrl: the handler echoes the requested URL, filters and format included
+  return {
+    title: filterDescription ? `EU Institutions - ${filterDescription}` : 'EU Institutions - All Feeds',
+    description: failedSources.length > 0
+      ? `${description} (temporarily unavailable: ${failedSources.join(', ')})`
+      : description,
+    link: 'https://eu-rss-generator.vercel.app/api/all',
+    language: 'en',
+    generator: 'EU RSS Generator - Aggregate'
+  };
+}
+
+export {
+  scrapeCompositeFeed,
+  scrapeAllInstitutions,
+  getAllChannelInfo,
+  parseFeedFilters,
+  selectSources,
+  filterItems
+};
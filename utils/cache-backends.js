@@ -0,0 +1,191 @@
+/**
+ * Cache Storage Backends
+ * Pluggable storage for SimpleCache entries ({ data, storedAt, expiry })
+ *
+ * Selected with CACHE_BACKEND:
+ * - memory (default): in-process Map, lost on every cold start
+ * - file: JSON files in CACHE_DIR (default: <os tmpdir>/eu-rss-cache), survives restarts
+ *
+ * CACHE_MAX_ENTRIES caps either backend (default 1000).
+ *
+ * Every backend implements read(key), write(key, entry), delete(key) and clear().
+ */
+
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync, renameSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * In-process Map backend, capped at maxEntries so a warm instance cannot grow without bound
+ */
+class MemoryCacheBackend {
+  constructor(maxEntries = 1000) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+  
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    
+    // Re-insert so the Map's order tracks recent use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+  
+  write(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+    }
+  }
+  
+  /**
+   * Drop entries past their stale window, then the least recently used until under the cap
+   */
+  prune() {
+    const now = Date.now();
+    
+    for (const [key, entry] of this.entries) {
+      if (now > (entry.staleUntil || entry.expiry)) {
+        this.entries.delete(key);
+      }
+    }
+    
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+  
+  delete(key) {
+    this.entries.delete(key);
+  }
+  
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-system backend storing one JSON file per key, capped at maxEntries files
+ */
+class FileCacheBackend {
+  constructor(directory = join(tmpdir(), 'eu-rss-cache'), maxEntries = 1000) {
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+    mkdirSync(this.directory, { recursive: true });
+  }
+  
+  filePath(key) {
+    const hash = createHash('sha1').update(key).digest('hex');
+    return join(this.directory, `${hash}.json`);
+  }
+  
+  read(key) {
+    try {
+      return JSON.parse(readFileSync(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Cache: Failed to read entry for ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+  
+  write(key, entry) {
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    try {
+      // Write then rename so concurrent readers never see a partial file
+      writeFileSync(tempPath, JSON.stringify({ key, ...entry }));
+      renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Cache: Failed to write entry for ${key}:`, error.message);
+      return;
+    }
+    
+    if (this.listFiles().length > this.maxEntries) {
+      this.prune();
+    }
+  }
+  
+  listFiles() {
+    return readdirSync(this.directory).filter(file => file.endsWith('.json'));
+  }
+  
+  /**
+   * Drop entries past their stale window, then the oldest stored until under the cap
+   */
+  prune() {
+    const now = Date.now();
+    const kept = [];
+    
+    for (const file of this.listFiles()) {
+      const filePath = join(this.directory, file);
+      let entry = null;
+      
+      try {
+        entry = JSON.parse(readFileSync(filePath, 'utf8'));
+      } catch {
+        // Unreadable entries are dropped with the expired ones
+      }
+      
+      if (!entry || now > (entry.staleUntil || entry.expiry)) {
+        rmSync(filePath, { force: true });
+      } else {
+        kept.push({ filePath, storedAt: entry.storedAt || 0 });
+      }
+    }
+    
+    kept.sort((a, b) => a.storedAt - b.storedAt);
+    
+    for (const { filePath } of kept.slice(0, Math.max(0, kept.length - this.maxEntries))) {
+      rmSync(filePath, { force: true });
+    }
+  }
+  
+  delete(key) {
+    rmSync(this.filePath(key), { force: true });
+  }
+  
+  clear() {
+    for (const file of this.listFiles()) {
+      rmSync(join(this.directory, file), { force: true });
+    }
+  }
+}
+
+/**
+ * Create the backend selected by environment variables
+ */
+function createCacheBackend(env = process.env) {
+  const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+  const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10) || undefined;
+  
+  if (backend === 'file') {
+    try {
+      return new FileCacheBackend(env.CACHE_DIR || undefined, maxEntries);
+    } catch (error) {
+      console.warn('Cache: File backend unavailable, falling back to memory:', error.message);
+      return new MemoryCacheBackend(maxEntries);
+    }
+  }
+  
+  if (backend !== 'memory') {
+    console.warn(`Cache: Unknown CACHE_BACKEND "${backend}", using memory`);
+  }
+  
+  return new MemoryCacheBackend(maxEntries);
+}
+
+export {
+  MemoryCacheBackend,
+  FileCacheBackend,
+  createCacheBackend
+};
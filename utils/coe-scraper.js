@@ -5,24 +5,16 @@
 
 import * as cheerio from 'cheerio';
 import AdvancedScraperFixed from './advanced-scraper-fixed.js';
-import { cache } from './http-client.js';
+import { resolveEnclosures } from './http-client.js';
 import { cleanDescription, formatRSSDate } from './rss-builder.js';
 
 /**
  * Advanced COE scraper with Puppeteer for anti-bot protection
  */
 async function scrapeCOENews() {
-  const cacheKey = 'coe-news-advanced';
   let scraper = null;
 
   try {
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached COE news data');
-      return cached;
-    }
-
     console.log('Starting COE news scraping with advanced browser...');
     
     scraper = new AdvancedScraperFixed();
@@ -79,29 +71,12 @@ async function scrapeCOENews() {
 
     console.log(`COE: Successfully parsed ${items.length} news items`);
 
-    // Return first 25 items
-    const finalItems = items.slice(0, 25);
+    // Return first 25 items, with image sizes resolved
+    const finalItems = await resolveEnclosures(items.slice(0, 25));
     console.log(`COE: Returning ${finalItems.length} items`);
     
-    // Cache successful results for 30 minutes
-    cache.set(cacheKey, finalItems);
-    
     return finalItems;
 
-  } catch (error) {
-    console.error('COE advanced scraping error:', error.message);
-    
-    // Return cached data if available
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning stale cached COE data due to error');
-      return cached;
-    }
-    
-    // For now, return placeholder content if site is inaccessible
-    console.log('COE: Site is heavily protected, returning placeholder content');
-    return getPlaceholderCOEContent();
-    
   } finally {
     // Always cleanup browser resources
     if (scraper) {
@@ -478,5 +453,6 @@ function getCOEChannelInfo() {
 
 export {
   scrapeCOENews,
-  getCOEChannelInfo
+  getCOEChannelInfo,
+  getPlaceholderCOEContent
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * European Commission Press Corner Scraper
+ * Reads the JSON search API behind https://ec.europa.eu/commission/presscorner/home/en
+ */
+
+import { fetchWithRetry } from './http-client.js';
+import { cleanDescription, parseSiteDate } from './rss-builder.js';
+
+const PRESS_CORNER_URL = 'https://ec.europa.eu/commission/presscorner';
+const SEARCH_API_URL = 'https://ec.europa.eu/commission/presscorner/api/search';
+
+/**
+ * Reference number prefixes mapped to Press Corner document types
+ */
+const DOCUMENT_TYPES = {
+  IP: 'Press release',
+  STATEMENT: 'Statement',
+  SPEECH: 'Speech',
+  MEX: 'Daily News',
+  QANDA: 'Questions and answers'
+};
+
+/**
+ * Titles such as "Statement by Commissioner Šefčovič on ..." name the speaker
+ */
+const SPEAKER_PATTERN = /\bby (?:the )?(?:President|Executive Vice-President|Vice-President|High Representative\/Vice-President|Commissioner)\s+((?:von der\s+)?\p{Lu}[\p{L}'-]+(?:\s+\p{Lu}[\p{L}'-]+)*)/u;
+
+/**
+ * Scrape the latest Press Corner documents
+ */
+async function scrapeCommissionPressCorner() {
+  console.log('Fetching Commission Press Corner...');
+  const params = new URLSearchParams({
+    language: 'en',
+    pagenumber: '1',
+    pagesize: '30',
+    documenttype: Object.keys(DOCUMENT_TYPES).join(',')
+  });
+  
+  const response = await fetchWithRetry(`${SEARCH_API_URL}?${params}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+  const items = parsePressCornerResults(await response.json());
+  
+  if (items.length === 0) {
+    throw new Error('No Commission press documents found');
+  }
+  
+  console.log(`Found ${items.length} Commission press documents`);
+  
+  return items;
+}
+
+/**
+ * Convert a Press Corner search response into feed items
+ */
+function parsePressCornerResults(data) {
+  const results = data?.docuLanguageListResources || data?.items || data?.results || [];
+  const items = [];
+  
+  for (const result of results) {
+    try {
+      const referenceNumber = (result.refCode || result.reference || '').trim();
+      const title = (result.title || '').replace(/\s+/g, ' ').trim();
+      
+      if (!referenceNumber || !title) continue;
+      
+      const documentType = getDocumentType(referenceNumber, result);
+      const link = getDocumentUrl(referenceNumber);
+      const author = getCommissioners(result).join(', ') || getSpeakerFromTitle(title);
+      
+      items.push({
+        title: `${title} (${referenceNumber})`,
+        link,
+        description: cleanDescription(result.leadText || result.description || title, 500),
+        pubDate: parseSiteDate(result.eventDate || result.publicationDate),
+        guid: link,
+        category: documentType,
+        ...(author && { author }),
+        referenceNumber
+      });
+    
+    } catch (error) {
+      console.error('Error processing Commission document:', error.message);
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Document type from the API, falling back to the reference number prefix
+ */
+function getDocumentType(referenceNumber, result) {
+  const apiType = result.docuType?.docuTypeDescription || result.docuTypeResource?.docuTypeDescription;
+  return apiType || DOCUMENT_TYPES[referenceNumber.split('/')[0]] || 'Press material';
+}
+
+/**
+ * Detail page URL for a reference number, e.g. IP/25/1934 -> /detail/en/ip_25_1934
+ */
+function getDocumentUrl(referenceNumber) {
+  return `${PRESS_CORNER_URL}/detail/en/${referenceNumber.toLowerCase().replace(/\//g, '_')}`;
+}
+
+/**
+ * Commissioner names attached to a document (plain strings or person objects)
+ */
+function getCommissioners(result) {
+  const persons = result.commissioners || result.persons || result.personResources || [];
+  
+  return persons
+    .map(person => typeof person === 'string'
+      ? person
+      : person.fullName || person.name || [person.firstName, person.lastName].filter(Boolean).join(' '))
+    .map(name => (name || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Speaker named in statement and speech titles
+ */
+function getSpeakerFromTitle(title) {
+  const match = title.match(SPEAKER_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get Commission channel info
+ */
+function getCommissionChannelInfo() {
+  return {
+    title: 'European Commission Press Corner',
+    description: 'Press releases, statements, daily news, speeches and Q&As from the European Commission',
+    link: `${PRESS_CORNER_URL}/home/en`,
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeCommissionPressCorner,
+  parsePressCornerResults,
+  getCommissionChannelInfo
+};
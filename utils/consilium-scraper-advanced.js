@@ -6,24 +6,15 @@
 
 import * as cheerio from 'cheerio';
 import AdvancedScraperFixed from './advanced-scraper-fixed.js';
-import { cache } from './http-client.js';
 import { cleanDescription, formatRSSDate } from './rss-builder.js';
 
 /**
  * Advanced EU Council scraper with browser automation
  */
 async function scrapeConsiliumAdvanced() {
-  const cacheKey = 'consilium-advanced-feed';
   let scraper = null;
 
   try {
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached EU Council advanced data');
-      return cached;
-    }
-
     console.log('Starting advanced EU Council scraping with browser automation...');
     
     scraper = new AdvancedScraperFixed();
@@ -76,23 +67,8 @@ async function scrapeConsiliumAdvanced() {
     const finalItems = items.slice(0, 20);
     console.log(`EU Council: Returning ${finalItems.length} items without enrichment for optimal performance`);
     
-    // Cache successful results
-    cache.set(cacheKey, finalItems);
-    
     return finalItems;
 
-  } catch (error) {
-    console.error('Advanced EU Council scraping error:', error.message);
-    
-    // Return cached data if available
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning stale cached data due to error');
-      return cached;
-    }
-    
-    throw error;
-    
   } finally {
     // Always cleanup browser resources
     if (scraper) {
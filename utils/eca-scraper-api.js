@@ -3,7 +3,8 @@
  * Uses SharePoint authentication tokens to directly access NewsService.svc/Search API
  * 
  * This approach:
- * 1. Loads page with Puppeteer to extract SharePoint authentication tokens
+ * 1. Fetches the news page over plain HTTP to read the SharePoint form digest
+ *    (Puppeteer is only started when that fails)
  * 2. Makes direct API calls using extracted X-RequestDigest 
  * 3. Parses JSON response instead of DOM scraping
  * 4. Generates professional-grade RSS from structured data
@@ -11,25 +12,166 @@
 
 import * as cheerio from 'cheerio';
 import AdvancedScraperFixed from './advanced-scraper-fixed.js';
-import { cache } from './http-client.js';
-import { cleanDescription, formatRSSDate } from './rss-builder.js';
+import { cache, fetchHTML, fetchWithRetry, resolveEnclosures } from './http-client.js';
+import { cleanDescription, formatRSSDate, sanitizeContentHTML, resolveUrl } from './rss-builder.js';
+
+const BASE_URL = 'https://www.eca.europa.eu';
+const NEWS_PAGE_URL = 'https://www.eca.europa.eu/en/all-news';
+const SEARCH_SERVICE_PATH = '/_vti_bin/ECA.Internet/NewsService.svc/Search';
+const TOPICS_URL = 'https://www.eca.europa.eu/en/topics';
+const TOPICS_CACHE_TTL = 86400000; // The topic list rarely changes - keep it for a day
+
+// Article pages are fetched within one time budget; each article is enriched once
+const ENRICH_TIME_BUDGET = 15000;
+const ENRICH_TIMEOUT = 5000;
+const ENRICH_CONCURRENCY = 4;
+const ARTICLE_CACHE_TTL = 30 * 86400000;
+
+/**
+ * Short codes kept upper case when a SharePoint page name stands in for the title
+ */
+const ACRONYMS = ['ECA', 'EU', 'SR', 'RV', 'OP', 'AR', 'RRF', 'MFF'];
+
+/**
+ * Publication codes in page names (NEWS-SR-2025-15) mapped to report types
+ */
+const REPORT_TYPES = {
+  SR: 'Special Report',
+  RV: 'Review',
+  OP: 'Opinion',
+  AR: 'Annual Report'
+};
+
+/**
+ * Website topics (page slug -> label) used when the topics page cannot be read
+ */
+const WEBSITE_TOPICS = {
+  'agriculture-rural-development': 'Agriculture and rural development',
+  'banking-financial-services': 'Banking and financial services',
+  'budget-and-spending': 'Budget and spending',
+  'business-and-industry': 'Business and industry',
+  'culture-and-education': 'Culture and education',
+  'digital-economy-society': 'Digital economy and society',
+  'economy-finance-euro': 'Economy, finance and the euro',
+  'employment-poverty-social-inclusion': 'Employment, poverty and social inclusion',
+  'energy-environment-climate-action': 'Energy, environment and climate action',
+  'eu-external-action': 'EU external action',
+  'eu-institutions-agencies-bodies': 'EU institutions, agencies and bodies',
+  'food-safety': 'Food safety',
+  'fraud': 'Fraud',
+  'humanitarian-aid-civil-protection': 'Humanitarian aid and civil protection',
+  'maritime-affairs-fisheries': 'Maritime affairs and fisheries',
+  'migration-asylum': 'Migration and asylum',
+  'public-health': 'Public health',
+  'regional-policy-cohesion': 'Regional policy and cohesion',
+  'research-innovation': 'Research and innovation',
+  'security-defence-justice': 'Security, defence and justice',
+  'single-market-competition': 'Single market and competition',
+  'trade-customs-taxation': 'Trade, customs and taxation',
+  'transport-mobility': 'Transport and mobility'
+};
 
 /**
  * Strategy 1: Direct API access with SharePoint authentication
+ * Supports ?topic=agriculture,fraud&from=2025-01-01&to=2025-06-30
  */
-async function scrapeECANewsAPI() {
-  const cacheKey = 'eca-news-api-v5'; // Enriched content - force fresh data
-  let scraper = null;
+async function scrapeECANewsAPI(query = {}) {
+  const filters = await parseECAFilters(query);
 
+  console.log('ECA API: Starting SharePoint authentication + direct API access...');
+  
+  // Plain HTTP first; the browser is only started when SharePoint refuses the digest flow
+  const searchInput = buildSearchInput(filters);
+  let newsData;
+  
   try {
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('ECA API: Returning cached news data');
-      return cached;
-    }
+    newsData = await searchNewsOverHTTP(searchInput);
+  } catch (error) {
+    console.warn(`ECA API: HTTP search failed (${error.message}), falling back to the browser`);
+    newsData = await searchNewsWithBrowser(searchInput);
+  }
+
+  console.log(`ECA API: Successfully received ${newsData.data.length} news items from API`);
+
+  // Step 4: Process API response into RSS items
+  const items = processECAApiResponse(newsData.data, newsData.siteUrl);
+  
+  if (items.length === 0) {
+    throw new Error('No news items found in API response');
+  }
+
+  console.log(`ECA API: Successfully processed ${items.length} news items`);
+
+  // Step 5: Enrich items with real content from article pages (limit to 20 for performance)
+  const enrichedItems = await enrichItemsBatch(items.slice(0, 20));
+  
+  // Return final items with image sizes resolved
+  const finalItems = await resolveEnclosures(enrichedItems);
+  
+  return { items: finalItems, channelInfo: getECAChannelInfoAPI(filters) };
+}
 
-    console.log('ECA API: Starting SharePoint authentication + direct API access...');
+/**
+ * Search over plain HTTP: read the form digest from the news page and post to the Search service
+ */
+async function searchNewsOverHTTP(searchInput) {
+  console.log('ECA API: Reading SharePoint tokens over HTTP...');
+  
+  const authContext = parseSharePointContext(await fetchHTML(NEWS_PAGE_URL));
+  
+  if (!authContext.digestValue || !authContext.siteUrl) {
+    throw new Error('No SharePoint form digest in the news page');
+  }
+  
+  const response = await fetchWithRetry(authContext.siteUrl + SEARCH_SERVICE_PATH, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'X-RequestDigest': authContext.digestValue,
+      'X-Requested-With': 'XMLHttpRequest',
+      'Referer': NEWS_PAGE_URL
+    },
+    body: JSON.stringify({ searchInput })
+  });
+  
+  const data = await response.json();
+  
+  if (!Array.isArray(data)) {
+    throw new Error('Unexpected Search service response');
+  }
+  
+  return { data, siteUrl: authContext.siteUrl };
+}
+
+/**
+ * Form digest and site URL from a SharePoint page
+ * Anonymous pages render "noDigest" in the form field; the page context holds the real digest
+ */
+function parseSharePointContext(html) {
+  const $ = cheerio.load(html);
+  const inputDigest = $('#__REQUESTDIGEST').attr('value');
+  
+  const contextScript = $('script')
+    .map((index, element) => $(element).html())
+    .get()
+    .find(text => text.includes('_spPageContextInfo')) || '';
+  const readValue = key => (contextScript.match(new RegExp(`"${key}"\\s*:\\s*"([^"]+)"`)) || [])[1] || null;
+  
+  return {
+    digestValue: inputDigest && inputDigest !== 'noDigest' ? inputDigest : readValue('formDigestValue'),
+    siteUrl: readValue('siteAbsoluteUrl')
+  };
+}
+
+/**
+ * Search through the browser when the plain HTTP flow fails
+ */
+async function searchNewsWithBrowser(searchInput) {
+  let scraper = null;
+  
+  try {
+    console.log('ECA API: Starting browser for SharePoint authentication...');
     
     scraper = new AdvancedScraperFixed();
     const initialized = await scraper.initBrowser();
@@ -42,7 +184,7 @@ async function scrapeECANewsAPI() {
     console.log('ECA API: Loading page to extract SharePoint tokens...');
     
     await scraper.navigateWithStealth(
-      'https://www.eca.europa.eu/en/all-news',
+      NEWS_PAGE_URL,
       {
         timeout: 8000, // Faster timeout for Vercel
         waitForNetworkIdle: false // Speed optimization
@@ -88,7 +230,7 @@ async function scrapeECANewsAPI() {
     
     const newsData = await scraper.page.evaluate(async (authCtx) => {
       try {
-        const response = await fetch(authCtx.siteUrl + "/_vti_bin/ECA.Internet/NewsService.svc/Search", {
+        const response = await fetch(authCtx.searchUrl, {
           method: "POST",
           headers: {
             "Accept": "application/json",
@@ -97,14 +239,7 @@ async function scrapeECANewsAPI() {
             "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
             "X-Requested-With": "XMLHttpRequest"
           },
-          body: JSON.stringify({
-            searchInput: {
-              RowLimit: 30, // Optimized for speed - fewer items
-              WebsiteTopics: [], // No topic filters
-              StartDate: null,   // No date filters  
-              EndDate: null
-            }
-          })
+          body: JSON.stringify({ searchInput: authCtx.searchInput })
         });
 
         if (!response.ok) {
@@ -128,75 +263,171 @@ async function scrapeECANewsAPI() {
           data: null
         };
       }
-    }, authContext);
+    }, { ...authContext, searchUrl: authContext.siteUrl + SEARCH_SERVICE_PATH, searchInput });
 
     if (!newsData.success || !newsData.data) {
       throw new Error(`API call failed: ${newsData.error || 'Unknown error'}`);
     }
 
-    console.log(`ECA API: Successfully received ${newsData.data.length} news items from API`);
-
-    // Step 4: Process API response into RSS items
-    const items = await processECAApiResponse(newsData.data, authContext.siteUrl, scraper);
+    return { data: newsData.data, siteUrl: authContext.siteUrl };
     
-    if (items.length === 0) {
-      throw new Error('No news items found in API response');
+  } finally {
+    // Always cleanup browser resources
+    if (scraper) {
+      await scraper.cleanup();
     }
+  }
+}
 
-    console.log(`ECA API: Successfully processed ${items.length} news items`);
-
-    // Step 5: Enrich items with real content from article pages
-    // For now, skip enrichment to avoid regression - return working RSS with proper URLs
-    console.log('ECA API: Skipping content enrichment for now to ensure stable RSS delivery');
-    
-    // Add basic descriptions to avoid empty content
-    items.forEach(item => {
-      if (!item.description) {
-        // Use category-based descriptions as fallback (no regression)
-        if (item.category === 'ECA Journal') {
-          item.description = 'Latest issue of the ECA Journal featuring audit reports, methodological articles, and insights from the European Court of Auditors.';
-        } else if (item.category === 'Newsletter') {
-          item.description = 'ECA Newsletter containing updates on recent audit work, court activities, and important developments in European Union oversight.';
-        } else {
-          item.description = 'News and updates from the European Court of Auditors, including press releases, audit reports, and official statements.';
-        }
-      }
-    });
+/**
+ * Parse ?topic=, ?from= and ?to= into Search service filters
+ */
+async function parseECAFilters(query = {}) {
+  const requestedTopics = [].concat(query.topic || [])
+    .flatMap(entry => entry.split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  
+  const startDate = parseFilterDate(query.from, 'from');
+  const endDate = parseFilterDate(query.to, 'to');
+  
+  if (startDate && endDate && startDate > endDate) {
+    throw createFilterError('"from" must not be later than "to"');
+  }
+  
+  let topics = [];
+  if (requestedTopics.length > 0) {
+    const websiteTopics = await getWebsiteTopics();
+    const { resolved, unknown } = resolveTopics(requestedTopics, websiteTopics);
     
-    // Return final items (limit to 20 for performance)
-    const finalItems = items.slice(0, 20);
+    if (unknown.length > 0) {
+      throw createFilterError(`Unknown ECA topics: ${unknown.join(', ')}. Valid topics: ${Object.keys(websiteTopics).join(', ')}`);
+    }
     
-    // Cache successful results for 30 minutes
-    cache.set(cacheKey, finalItems);
+    topics = resolved;
+  }
+  
+  return { topics, startDate, endDate };
+}
+
+/**
+ * Parse a YYYY-MM-DD filter date as UTC midnight
+ */
+function parseFilterDate(value, name) {
+  if (!value) return null;
+  
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match && new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  
+  // Date.UTC rolls invalid days and months over (2025-02-30, 2025-13-01)
+  if (!date || date.getUTCMonth() !== parseInt(match[2]) - 1 || date.getUTCDate() !== parseInt(match[3])) {
+    throw createFilterError(`Invalid "${name}" date "${value}", expected YYYY-MM-DD`);
+  }
+  
+  return date;
+}
+
+/**
+ * Bad filter values are reported to the client as 400 responses
+ */
+function createFilterError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Match requested topics by slug, label or a word of the slug ("agriculture")
+ */
+function resolveTopics(requestedTopics, websiteTopics) {
+  const entries = Object.entries(websiteTopics);
+  const resolved = [];
+  const unknown = [];
+  
+  for (const requested of requestedTopics) {
+    const needle = requested.toLowerCase();
+    const exact = entries.find(([slug, label]) => slug === needle || label.toLowerCase() === needle);
+    const partial = entries.filter(([slug]) => slug.split('-').includes(needle));
+    const match = exact || (partial.length === 1 ? partial[0] : null);
     
-    return finalItems;
+    if (match) {
+      resolved.push(match[1]);
+    } else {
+      unknown.push(requested);
+    }
+  }
+  
+  return { resolved: [...new Set(resolved)], unknown };
+}
 
-  } catch (error) {
-    console.error('ECA API scraping error:', error.message);
+/**
+ * Current topic list from the topics page, falling back to the built-in list
+ */
+async function getWebsiteTopics() {
+  const cacheKey = 'eca-website-topics';
+  
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  try {
+    const topics = parseECATopics(await fetchHTML(TOPICS_URL));
     
-    // Return cached data if available
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('ECA API: Returning stale cached data due to error');
-      return cached;
+    if (Object.keys(topics).length === 0) {
+      throw new Error('No topics found on the topics page');
     }
     
-    throw error;
+    cache.set(cacheKey, topics, TOPICS_CACHE_TTL);
+    return topics;
+  
+  } catch (error) {
+    console.warn(`ECA API: Using built-in topic list (${error.message})`);
+    return WEBSITE_TOPICS;
+  }
+}
+
+/**
+ * Topic links on the topics page point to one /en/<slug> page per topic
+ */
+function parseECATopics(html) {
+  const $ = cheerio.load(html);
+  const topics = {};
+  
+  $('#maincontent a[href], main a[href]').not('nav a, .breadcrumb a').each((index, element) => {
+    const href = $(element).attr('href').replace(BASE_URL, '');
+    const match = href.match(/^\/en\/([a-z0-9-]+)\/?$/);
+    const label = $(element).text().replace(/\s+/g, ' ').trim();
     
-  } finally {
-    // Always cleanup browser resources
-    if (scraper) {
-      await scraper.cleanup();
+    if (match && label && match[1] !== 'topics') {
+      topics[match[1]] = label;
     }
-  }
+  });
+  
+  return topics;
+}
+
+/**
+ * Search service input; dates use the .NET JSON format the service returns
+ */
+function buildSearchInput(filters) {
+  const toApiDate = date => date ? `/Date(${date.getTime()})/` : null;
+  const endOfDay = filters.endDate && new Date(filters.endDate.getTime() + 86399999);
+  
+  return {
+    RowLimit: 30, // Optimized for speed - fewer items
+    WebsiteTopics: filters.topics,
+    StartDate: toApiDate(filters.startDate),
+    EndDate: toApiDate(endOfDay)
+  };
 }
 
 /**
  * Process API response from NewsService.svc/Search into RSS items
  */
-async function processECAApiResponse(apiData, siteUrl, scraper) {
+function processECAApiResponse(apiData, siteUrl = BASE_URL) {
   const items = [];
-  const baseUrl = 'https://www.eca.europa.eu';
+  const baseUrl = siteUrl || BASE_URL;
   
   console.log('ECA API: Processing API response data...');
   
@@ -211,6 +442,7 @@ async function processECAApiResponse(apiData, siteUrl, scraper) {
       const pubDate = extractPubDate(newsItem);
       const category = extractCategory(newsItem);
       const imageUrl = extractImageUrl(newsItem, baseUrl);
+      const report = parseReportReference(newsItem.Title);
       
       if (!title || !link) {
         console.warn(`ECA API: Skipping item ${index + 1} - missing title or link`);
@@ -227,6 +459,7 @@ async function processECAApiResponse(apiData, siteUrl, scraper) {
         pubDate: pubDate,
         guid: link,
         category: category,
+        ...(report && { categories: [report.code], reportNumber: report.code }),
         ...(imageUrl && { enclosure: imageUrl })
       };
 
@@ -245,44 +478,48 @@ async function processECAApiResponse(apiData, siteUrl, scraper) {
 }
 
 /**
- * Extract title from API response
+ * Readable title from the page name, the only title the Search results carry
+ * (items have just Id, ImageUrl, IsHtml, StartDate and Title); enrichment replaces it
  */
 function extractTitle(newsItem) {
-  // Based on actual API structure: {Id, ImageUrl, IsHtml, StartDate, Title}
-  let title = newsItem.Title || '';
-  
-  // SIMPLIFIED: Keep titles closer to original for now, just basic cleanup
-  if (title) {
-    // Convert underscores to spaces and basic capitalization
-    title = title.replace(/_/g, ' ');
-    title = title.replace(/NEWS-?/gi, '');
-    
-    // Basic title case conversion
-    title = title.split(' ')
-                 .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-                 .join(' ');
-    
-    // Clean up extra spaces
-    title = title.replace(/\s+/g, ' ').trim();
+  const report = parseReportReference(newsItem.Title);
+  if (report) {
+    return `${report.type} ${report.number}`;
   }
   
-  return title;
+  return formatPageName(newsItem.Title || '');
 }
 
 /**
- * Extract and construct full URL from API response
+ * Page names such as "NEWS-SR-2025-15" or "NEWS2025_07_NEWSLETTER_02" become
+ * "SR 2025 15" and "2025 07 Newsletter 02"; titles with spaces are kept as they are
  */
-function extractLink(newsItem, baseUrl) {
-  // Based on API structure, construct URL from Title
-  const title = newsItem.Title;
+function formatPageName(pageName) {
+  const name = pageName.trim();
   
-  if (!title) {
-    return '';
+  if (/\s/.test(name)) {
+    return name.replace(/\s+/g, ' ');
   }
+  
+  return name
+    .replace(/^NEWS[-_]?/i, '')
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => ACRONYMS.includes(word.toUpperCase())
+      ? word.toUpperCase()
+      : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
 
-  // FIXED: All items go to /en/news/[EXACT-TITLE] as shown in webpage
-  // The webpage shows ALL items use /en/news/ regardless of type
-  return `${baseUrl}/en/news/${title}`;
+/**
+ * News page URL: the all-news page links every item to /en/news/<page name>
+ */
+function extractLink(newsItem, baseUrl) {
+  if (!newsItem.Title) {
+    return '';
+  }
+  
+  return `${baseUrl}/en/news/${encodeURIComponent(newsItem.Title.trim())}`;
 }
 
 /**
@@ -322,20 +559,18 @@ function extractDescription(newsItem) {
  * Extract category from API response
  */
 function extractCategory(newsItem) {
-  // Determine category based on content type or URL
-  const url = (newsItem.Url || '').toLowerCase();
+  const report = parseReportReference(newsItem.Title);
+  if (report) {
+    return report.type;
+  }
+  
+  // Other items are told apart by their page name
   const title = (newsItem.Title || '').toLowerCase();
   
-  if (url.includes('journal') || title.includes('journal')) {
+  if (title.includes('journal')) {
     return 'ECA Journal';
-  } else if (url.includes('newsletter') || title.includes('newsletter')) {
+  } else if (title.includes('newsletter')) {
     return 'Newsletter';  
-  } else if (url.includes('sr-') || title.includes('special report')) {
-    return 'Special Report';
-  } else if (url.includes('rv-') || title.includes('review')) {
-    return 'Review';
-  } else if (url.includes('opinion') || title.includes('opinion')) {
-    return 'Opinion';
   } else if (title.includes('press release') || title.includes('press statement')) {
     return 'Press Release';
   }
@@ -343,6 +578,25 @@ function extractCategory(newsItem) {
   return 'ECA News';
 }
 
+/**
+ * Report reference in a page name or publication URL, e.g. "NEWS-SR-2025-15"
+ * -> { code: 'SR-2025-15', type: 'Special Report', number: '15/2025' }
+ */
+function parseReportReference(value) {
+  const match = (value || '').match(/(?:^|[^a-z])(SR|RV|OP|AR)[-_]?(\d{4})(?:[-_](\d{1,2}))?(?!\d)/i);
+  if (!match) return null;
+  
+  const prefix = match[1].toUpperCase();
+  const year = match[2];
+  const number = match[3] && match[3].padStart(2, '0');
+  
+  return {
+    code: [prefix, year, number].filter(Boolean).join('-'),
+    type: REPORT_TYPES[prefix],
+    number: number ? `${parseInt(number, 10)}/${year}` : year
+  };
+}
+
 /**
  * Extract image URL from API response  
  */
@@ -362,143 +616,167 @@ function extractImageUrl(newsItem, baseUrl) {
 }
 
 /**
- * Enrich news item with real title and content from article page
+ * Enrich news item with the title, summary and body of its article page
  */
-async function enrichNewsItem(item, scraper) {
-  try {
-    console.log(`ECA API: Enriching content for ${item.link}`);
-    
-    // Navigate to the actual news article
-    await scraper.navigateWithStealth(item.link, {
-      timeout: 3000, // Fast timeout for enrichment
-      waitForNetworkIdle: false
-    });
-
-    // Extract real title and content from the page
-    const enrichedData = await scraper.page.evaluate(() => {
-      // Extract real user-facing title
-      const titleSelectors = [
-        'h1',
-        '.page-title',
-        '.article-title', 
-        '.news-title',
-        '.content-title'
-      ];
-      
-      let realTitle = '';
-      for (const selector of titleSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim()) {
-          realTitle = element.textContent.trim();
-          break;
-        }
-      }
-      
-      // Fallback to page title without site name
-      if (!realTitle) {
-        realTitle = document.title?.replace(' | European Court of Auditors', '').trim() || '';
-      }
-
-      // Extract article content
-      const contentSelectors = [
-        '.content-main',
-        '.article-body',
-        '.news-content',
-        '.publication-content',
-        'main .content',
-        '.page-content',
-        '[data-content]',
-        '.body-content'
-      ];
-      
-      let content = '';
-      for (const selector of contentSelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-          // Remove unwanted elements
-          const clonedElement = element.cloneNode(true);
-          clonedElement.querySelectorAll('.share-buttons, .metadata, .footer, .sidebar, nav, .breadcrumb, .tags, .date, .author, script, style').forEach(el => el.remove());
-          
-          content = clonedElement.textContent.trim();
-          if (content.length > 100) {
-            break;
-          }
-        }
-      }
+async function enrichNewsItem(item, timeout = ENRICH_TIMEOUT) {
+  console.log(`ECA API: Enriching content for ${item.link}`);
+  
+  const response = await fetchWithRetry(item.link, { signal: AbortSignal.timeout(timeout) });
+  const article = parseECAArticle(await response.text());
+  
+  if (!article.description) {
+    throw new Error('No article content found');
+  }
+  
+  return article;
+}
 
+/**
+ * Extract the display title, summary and sanitized body from an ECA news page
+ */
+function parseECAArticle(html) {
+  const $ = cheerio.load(html);
+  
+  // Report details sit in the tags and download blocks removed below
+  const { policyAreas, pdfs } = parseReportDetails($);
+  
+  // SharePoint pages carry inline scripts even inside headings and content fields
+  $('script, style, noscript, nav, .breadcrumb, .share-buttons, .metadata, .sidebar, .tags').remove();
+  
+  const title = ($('meta[property="og:title"]').attr('content')
+    || $('h1').first().text()
+    || $('title').text().replace(/\|\s*European Court of Auditors\s*$/, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  const contentSelectors = [
+    '.news-content',
+    '.article-body',
+    '.publication-content',
+    '.content-main',
+    '.ms-rtestate-field',
+    '#maincontent .content',
+    '#maincontent'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
       return {
-        title: realTitle,
-        content: content
+        title,
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL),
+        policyAreas,
+        pdfs
       };
-    });
-
-    // Update item with enriched data
-    if (enrichedData.title) {
-      item.title = enrichedData.title;
-    }
-    
-    if (enrichedData.content) {
-      // Clean and truncate content (reuse EEAS cleaning logic)
-      item.description = cleanDescription(enrichedData.content, 500);
     }
-
-    console.log(`ECA API: Successfully enriched ${item.title.substring(0, 50)}...`);
-    return item;
-
-  } catch (error) {
-    console.warn(`ECA API: Failed to enrich ${item.link}: ${error.message}`);
-    // Return original item if enrichment fails (no regression)
-    return item;
   }
+  
+  // Fall back to the page's own summary
+  const metaDescription = $('meta[property="og:description"]').attr('content') || $('meta[name="description"]').attr('content');
+  
+  return { title, description: metaDescription ? cleanDescription(metaDescription, 500) : '', content: '', policyAreas, pdfs };
 }
 
 /**
- * Enrich multiple items with content sequentially for stability
+ * Audited policy areas (links to topic pages) and report PDFs by language (SR-2025-16_EN.pdf)
  */
-async function enrichItemsBatch(items, scraper) {
-  console.log(`ECA API: Starting content enrichment for ${items.length} items`);
+function parseReportDetails($) {
+  const policyAreas = [];
+  const pdfs = {};
   
-  const enrichedItems = [];
-  const maxItems = Math.min(items.length, 5); // Limit to 5 items for performance
-  
-  for (let i = 0; i < maxItems; i++) {
-    const item = items[i];
-    console.log(`ECA API: Enriching item ${i + 1}/${maxItems}: ${item.title}`);
+  $('#maincontent a[href], main a[href]').each((index, element) => {
+    const href = $(element).attr('href');
+    const topicMatch = href.replace(BASE_URL, '').match(/^\/en\/([a-z0-9-]+)\/?$/);
+    const pdfMatch = href.match(/_([A-Z]{2})\.pdf(?:\?|$)/i);
     
-    try {
-      // Process items sequentially to avoid browser session conflicts
-      const enrichedItem = await Promise.race([
-        enrichNewsItem(item, scraper),
-        new Promise(resolve => setTimeout(() => resolve(item), 3000)) // 3s timeout per item
-      ]);
-      
-      enrichedItems.push(enrichedItem);
-      
-      // Small delay between items to prevent session conflicts
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-    } catch (error) {
-      console.warn(`ECA API: Enrichment failed for item ${i + 1}: ${error.message}`);
-      enrichedItems.push(item); // Use original item on failure
+    if (topicMatch && WEBSITE_TOPICS[topicMatch[1]]) {
+      policyAreas.push($(element).text().replace(/\s+/g, ' ').trim() || WEBSITE_TOPICS[topicMatch[1]]);
+    } else if (pdfMatch && !pdfs[pdfMatch[1].toUpperCase()]) {
+      pdfs[pdfMatch[1].toUpperCase()] = resolveUrl(href, BASE_URL);
     }
-  }
+  });
   
-  // Add remaining items without enrichment if we hit the limit
-  if (items.length > maxItems) {
-    enrichedItems.push(...items.slice(maxItems));
+  return { policyAreas: [...new Set(policyAreas)], pdfs };
+}
+
+/**
+ * Enrich items from article pages in small batches within ENRICH_TIME_BUDGET
+ * Articles enriched on an earlier run are reused; items left over keep their title as summary
+ */
+async function enrichItemsBatch(items) {
+  const deadline = Date.now() + ENRICH_TIME_BUDGET;
+  const articleCacheKey = item => `eca-article:${item.guid}`;
+  
+  const pending = items.filter(item => !cache.get(articleCacheKey(item)));
+  console.log(`ECA API: ${items.length - pending.length} articles already enriched, ${pending.length} to fetch`);
+  
+  for (let i = 0; i < pending.length; i += ENRICH_CONCURRENCY) {
+    if (Date.now() >= deadline) {
+      console.log(`ECA API: Enrichment time budget spent, ${pending.length - i} articles left for the next refresh`);
+      break;
+    }
+    
+    const batch = pending.slice(i, i + ENRICH_CONCURRENCY);
+    const timeout = Math.min(ENRICH_TIMEOUT, Math.max(deadline - Date.now(), 1000));
+    const results = await Promise.allSettled(batch.map(item => enrichNewsItem(item, timeout)));
+    
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        cache.set(articleCacheKey(batch[index]), result.value, ARTICLE_CACHE_TTL);
+      } else {
+        console.warn(`ECA API: Failed to enrich ${batch[index].link}: ${result.reason?.message}`);
+      }
+    });
   }
   
-  console.log(`ECA API: Content enrichment completed (${maxItems} enriched, ${items.length - maxItems} remaining)`);
-  return enrichedItems;
+  return items.map(item => {
+    const article = cache.get(articleCacheKey(item));
+    
+    if (!article) {
+      return { ...item, description: item.description || cleanDescription(item.title, 500) };
+    }
+    
+    // Reports link their PDF in every language; the English version becomes the enclosure
+    // and the listing image is kept as the item image
+    const languages = Object.keys(article.pdfs || {});
+    const pdfUrl = article.pdfs?.EN || article.pdfs?.[languages[0]];
+    const categories = [...(item.categories || []), ...(article.policyAreas || [])];
+    const languageVersions = languages.map(language => ({
+      language: language.toLowerCase(),
+      url: article.pdfs[language],
+      type: 'application/pdf'
+    }));
+    
+    return {
+      ...item,
+      title: article.title || item.title,
+      description: article.description,
+      ...(article.content && { content: article.content }),
+      ...(categories.length > 0 && { categories: [...new Set(categories)] }),
+      ...(pdfUrl && {
+        enclosure: { url: pdfUrl, type: 'application/pdf' },
+        ...(item.enclosure && { image: item.enclosure })
+      }),
+      ...(languageVersions.length > 0 && { languageVersions })
+    };
+  });
 }
 
 /**
  * Get ECA channel info for RSS feed
  */
-function getECAChannelInfoAPI() {
+function getECAChannelInfoAPI(filters = {}) {
+  const toDay = date => date.toISOString().slice(0, 10);
+  const scope = [
+    filters.topics?.length > 0 && `topics: ${filters.topics.join(', ')}`,
+    filters.startDate && `from ${toDay(filters.startDate)}`,
+    filters.endDate && `to ${toDay(filters.endDate)}`
+  ].filter(Boolean).join('; ');
+  
   return {
     title: 'ECA News - European Court of Auditors',
-    description: 'Latest news, reports, and publications from the European Court of Auditors via SharePoint API',
+    description: `Latest news, reports, and publications from the European Court of Auditors via SharePoint API${scope ? ` (${scope})` : ''}`,
     link: 'https://www.eca.europa.eu/en/all-news',
     language: 'en',
     generator: 'EU RSS Generator - ECA SharePoint API'
@@ -507,5 +785,14 @@ function getECAChannelInfoAPI() {
 
 export {
   scrapeECANewsAPI,
+  parseECAFilters,
+  parseECATopics,
+  resolveTopics,
+  buildSearchInput,
+  parseSharePointContext,
+  processECAApiResponse,
+  parseReportReference,
+  parseECAArticle,
+  enrichItemsBatch,
   getECAChannelInfoAPI
 };
\ No newline at end of file
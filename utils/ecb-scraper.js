@@ -0,0 +1,148 @@
+/**
+ * European Central Bank Press Scraper
+ * Reads the static yearly listing behind https://www.ecb.europa.eu/press/pr/html/index.en.html
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.ecb.europa.eu';
+
+/**
+ * The press page loads its list from one include file per year
+ */
+function getListingUrl(year) {
+  return `${BASE_URL}/press/pr/date/${year}/html/index.include.en.html`;
+}
+
+/**
+ * Scrape ECB press releases, falling back to last year's list early in January
+ */
+async function scrapeECB() {
+  console.log('Scraping ECB press releases...');
+  const year = new Date().getUTCFullYear();
+  let items = parseECBListing(await fetchHTML(getListingUrl(year)));
+  
+  if (items.length === 0) {
+    console.log(`ECB: No press releases for ${year} yet, using ${year - 1}`);
+    items = parseECBListing(await fetchHTML(getListingUrl(year - 1)));
+  }
+  
+  if (items.length === 0) {
+    throw new Error('No ECB press releases found');
+  }
+  
+  console.log(`Found ${items.length} ECB press items`);
+  
+  return enrichItems(items, enrichECBItem);
+}
+
+/**
+ * Parse an ECB listing: <dt isodate="..."> date terms followed by <dd> entries
+ */
+function parseECBListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  $('dt').each((index, element) => {
+    try {
+      const $dt = $(element);
+      const $dd = $dt.next('dd');
+      const $link = $dd.find('.title a[href]').first();
+      const title = $link.text().trim();
+      const relativeUrl = $link.attr('href');
+      
+      if (!title || !relativeUrl) return;
+      
+      const link = resolveUrl(relativeUrl, BASE_URL);
+      
+      // Document type (Press release, Monetary policy decisions, ...) and optional subtitle
+      const category = $dd.find('.category').first().text().trim() || 'Press release';
+      const subtitle = $dd.find('.subtitle').first().text().trim();
+      
+      items.push({
+        title: title.replace(/\s+/g, ' '),
+        link,
+        category,
+        pubDate: parseSiteDate($dt.attr('isodate') || $dt.text().trim()),
+        description: cleanDescription(subtitle || title, 500),
+        guid: link
+      });
+      
+      // Limit to 30 items
+      if (items.length >= 30) return false;
+    
+    } catch (error) {
+      console.error('Error processing ECB entry:', error.message);
+    }
+  });
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content from its press release page
+ */
+async function enrichECBItem(item) {
+  try {
+    // PDFs and other sites are linked directly
+    if (!item.link.startsWith(BASE_URL) || !item.link.endsWith('.html')) {
+      return item;
+    }
+    
+    console.log(`ECB: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseECBArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content })
+    };
+  
+  } catch (error) {
+    console.error(`ECB: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract the press release body, leaving out the title block and media contacts footer
+ */
+function parseECBArticle(html) {
+  const $ = cheerio.load(html);
+  const $section = $('main .section').first().length ? $('main .section').first() : $('main').first();
+  
+  $section.find('.title, .ecb-publicationDate, .address-box, .related-topics').remove();
+  
+  if ($section.text().trim().length < 100) {
+    return { description: '', content: '' };
+  }
+  
+  return {
+    description: cleanDescription($section.text(), 500),
+    content: sanitizeContentHTML($section.html(), BASE_URL)
+  };
+}
+
+/**
+ * Get ECB channel info
+ */
+function getECBChannelInfo() {
+  return {
+    title: 'European Central Bank Press Releases',
+    description: 'Press releases and monetary policy decisions from the European Central Bank',
+    link: 'https://www.ecb.europa.eu/press/pr/html/index.en.html',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeECB,
+  parseECBListing,
+  parseECBArticle,
+  getECBChannelInfo
+};
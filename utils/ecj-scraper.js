@@ -4,29 +4,73 @@
  * 
  * Strategy:
  * 1. Scrape HTML listing page for titles, summaries and PDF links
- * 2. Extract real descriptions from webpage content (no PDF parsing)
+ * 2. Extract the operative text of each press release PDF for a longer summary
+ *    (and the full text with ?fulltext=true), keeping the webpage summary as fallback
  * 3. Generate professional RSS feed matching EEAS quality standards
  */
 
+import * as cheerio from 'cheerio';
 import AdvancedScraperFixed from './advanced-scraper-fixed.js';
-import { cache } from './http-client.js';
-import { cleanDescription } from './rss-builder.js';
+import { resolveEnclosures } from './http-client.js';
+import { cleanDescription, resolveUrl, escapeXml } from './rss-builder.js';
+import { extractPDFText } from './pdf-text.js';
+
+const CURIA_BASE_URL = 'https://curia.europa.eu';
+const LISTING_URL = 'https://curia.europa.eu/jcms/jcms/Jo2_7052/en/';
+
+/**
+ * Item count bounds for ?limit= (each listing page holds around ten releases)
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_PAGES = 6;
+
+/**
+ * One deadline for the listing walk and the PDF pass, under the 40s per-source budget
+ * of /api/all (and so the 60s function limit) with room left for enclosure lookups.
+ * The walk only loads another page while PDF_TIME_RESERVE would still be left after it.
+ */
+const SCRAPE_TIME_BUDGET = 30000;
+const PAGE_TIMEOUT = 12000;
+const PDF_TIME_RESERVE = 8000;
+
+/**
+ * Press release PDF limits: per-item download size and time; items not reached
+ * before the deadline keep their webpage summary
+ */
+const PDF_MAX_BYTES = 3 * 1024 * 1024;
+const PDF_TIMEOUT = 8000;
+const PDF_CONCURRENCY = 5;
+
+/**
+ * Header, footer and title lines repeated in every Curia press release PDF
+ */
+const BOILERPLATE_LINES = [
+  /^(Court of Justice|General Court) of the European Union$/i,
+  /^PRESS RELEASE\b/i,
+  /^No \d+\/\d{2,4}$/,
+  /^Luxembourg, \d{1,2} \w+ \d{4}$/,
+  /^(Judgment|Order|Opinion)\b.*\bin (Joined )?Cases? [CT][-\u2010-\u2013]\d+\/\d+/,
+  /^Advocate General'?s? Opinion in\b/i,
+  /^Communications Directorate\b/i,
+  /^Press and Information\b/i,
+  /^(www\.)?curia\.europa\.eu$/i,
+  /^Page \d+ of \d+$/i,
+  /^\d{1,2}$/
+];
 
 /**
  * Scrape ECJ press releases and generate professional RSS items
+ * Walks the listing pages until `limit` releases are collected (?limit=, default 20, max 50)
+ * or the time budget runs out
  */
-async function scrapeECJNews() {
-  const cacheKey = 'ecj-news-professional-v1';
+async function scrapeECJNews(query = {}) {
+  const limit = parseLimit(query.limit);
+  const includeFullText = query.fulltext === 'true';
+  const deadline = Date.now() + SCRAPE_TIME_BUDGET;
   let scraper = null;
 
   try {
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('ECJ: Returning cached professional news data');
-      return cached;
-    }
-
     console.log('ECJ: Starting professional press release scraping...');
     
     scraper = new AdvancedScraperFixed();
@@ -36,115 +80,41 @@ async function scrapeECJNews() {
       throw new Error('Failed to initialize browser for ECJ scraping');
     }
 
-    // Step 1: Load main press releases page
-    console.log('ECJ: Loading press releases page...');
+    // Step 1: Walk the press release listing page by page
+    const pressReleases = [];
+    let pageUrl = LISTING_URL;
     
-    await scraper.navigateWithStealth(
-      'https://curia.europa.eu/jcms/jcms/Jo2_7052/en/',
-      {
-        timeout: 12000, // Vercel compatible timeout
-        waitForNetworkIdle: true
+    for (let pageNumber = 1; pageUrl && pageNumber <= MAX_PAGES && pressReleases.length < limit; pageNumber++) {
+      if (pageNumber > 1 && deadline - Date.now() < PAGE_TIMEOUT + PDF_TIME_RESERVE) {
+        console.log(`ECJ: Time budget reached, stopping the listing walk before page ${pageNumber}`);
+        break;
       }
-    );
-
-    // Step 2: Extract press release items and summaries separately (they are in different DOM sections)
-    console.log('ECJ: Extracting press releases and summaries separately...');
-    
-    const pressReleases = await scraper.page.evaluate(() => {
-      // Step 2A: Extract all press release items (cp_item divs)
-      const pressItems = [];
-      const itemElements = document.querySelectorAll('.cp_item');
       
-      console.log(`Found ${itemElements.length} cp_item elements`);
+      console.log(`ECJ: Loading press releases page ${pageNumber}...`);
       
-      itemElements.forEach((element, index) => {
-        if (index >= 7) return; // Limit to 7 items as requested
-        
-        const dateElement = element.querySelector('.cp_date');
-        const titleElement = element.querySelector('.cp_title a');
-        
-        if (!dateElement || !titleElement) return;
-        
-        const text = dateElement.textContent || '';
-        const pressMatch = text.match(/No\s+(\d+)\/(\d{4})/);
-        const dateMatch = text.match(/(\d{1,2})\s+(\w+)\s+(\d{4})/);
-        
-        if (!pressMatch) return;
-        
-        const title = titleElement.textContent.trim();
-        const link = titleElement.href;
-        
-        pressItems.push({
-          title: title,
-          link: link,
-          date: dateMatch ? dateMatch[0] : '',
-          pressNumber: pressMatch[0],
-          index: index
-        });
+      await scraper.navigateWithStealth(pageUrl, {
+        timeout: PAGE_TIMEOUT,
+        waitForNetworkIdle: true
       });
       
-      // Step 2B: Extract all summaries (cp_domain + cp_summary pairs)
-      const summaries = [];
-      const domainElements = document.querySelectorAll('.cp_domain');
+      // Step 2: Extract press releases, pairing each with its own summary
+      const { releases, unmatched, nextPageUrl } = parseECJListing(await scraper.page.content(), pageUrl);
       
-      console.log(`Found ${domainElements.length} cp_domain elements`);
-      
-      // Process each domain and check if it has a direct cp_summary sibling
-      for (let i = 0; i < domainElements.length; i++) {
-        const domainElement = domainElements[i];
-        const domainText = domainElement.textContent?.trim() || '';
-        
-        if (!domainText) continue;
-        
-        // Check if the next sibling is a cp_summary
-        const nextSibling = domainElement.nextElementSibling;
-        
-        if (nextSibling && nextSibling.classList.contains('cp_summary')) {
-          // This domain has a direct summary following it
-          const summaryText = nextSibling.textContent?.trim() || '';
-          if (summaryText) {
-            summaries.push(`${domainText}: ${summaryText}`);
-          } else {
-            summaries.push(domainText);
-          }
-        } else {
-          // This domain stands alone (it contains the full description)
-          summaries.push(domainText);
-        }
+      if (unmatched.length > 0) {
+        console.warn(`ECJ: No summary found for ${unmatched.join(', ')}`);
       }
       
-      console.log(`Created ${summaries.length} professional summaries`);
+      // Pages can overlap when a release is published while we walk the listing
+      const newReleases = releases.filter(release =>
+        !pressReleases.some(existing => existing.pressNumber === release.pressNumber));
       
-      // Step 2C: Match press releases with summaries by order
-      const items = [];
-      for (let i = 0; i < pressItems.length && i < summaries.length; i++) {
-        const pressItem = pressItems[i];
-        const summary = summaries[i];
-        
-        items.push({
-          title: pressItem.title,
-          link: pressItem.link,
-          date: pressItem.date,
-          summary: summary,
-          pressNumber: pressItem.pressNumber
-        });
-      }
+      console.log(`ECJ: Page ${pageNumber} returned ${releases.length} releases (${newReleases.length} new)`);
       
-      // Handle any remaining press items without summaries
-      for (let i = summaries.length; i < pressItems.length; i++) {
-        const pressItem = pressItems[i];
-        items.push({
-          title: pressItem.title,
-          link: pressItem.link,
-          date: pressItem.date,
-          summary: 'European Court of Justice judgment - full press release available.',
-          pressNumber: pressItem.pressNumber
-        });
-      }
+      if (newReleases.length === 0) break;
       
-      console.log(`Matched ${items.length} press releases with their summaries`);
-      return items;
-    });
+      pressReleases.push(...newReleases);
+      pageUrl = nextPageUrl;
+    }
 
     console.log(`ECJ: Found ${pressReleases.length} press release items`);
     
@@ -152,14 +122,20 @@ async function scrapeECJNews() {
       throw new Error('No press releases found on the page');
     }
 
-    // Step 3: Convert to professional RSS items (no PDF processing needed)
+    // Step 3: Newest press release number first, so a poll never skips releases
+    pressReleases.sort(comparePressNumbers);
+    
+    // Step 4: Convert to professional RSS items
     const rssItems = [];
-    const maxItems = Math.min(pressReleases.length, 7);
+    const maxItems = Math.min(pressReleases.length, limit);
     
     for (let i = 0; i < maxItems; i++) {
       const release = pressReleases[i];
       console.log(`ECJ: Processing item ${i + 1}/${maxItems}: ${release.title.substring(0, 50)}...`);
       
+      // Case numbers, parties, court, document type and domain for filtering by case
+      const caseInfo = parseCaseMetadata(release);
+      
       // Create professional RSS item
       const rssItem = {
         title: release.title,
@@ -167,6 +143,10 @@ async function scrapeECJNews() {
         description: cleanDescription(release.summary, 500), // Clean and format description
         pubDate: parseDateString(release.date),
         guid: release.link,
+        category: caseInfo.documentType,
+        categories: [caseInfo.court, caseInfo.domain, ...caseInfo.caseNumbers].filter(Boolean),
+        caseInfo,
+        ...(!release.summaryMatched && { summaryMissing: true }),
         enclosure: {
           url: release.link,
           type: 'application/pdf'
@@ -178,23 +158,14 @@ async function scrapeECJNews() {
 
     console.log(`ECJ: Successfully processed ${rssItems.length} professional RSS items`);
     
-    // Cache results for 30 minutes
-    cache.set(cacheKey, rssItems);
+    // Step 5: Replace webpage summaries with the press release text where the PDF is readable
+    const itemsWithText = await enrichWithPressReleaseText(rssItems, includeFullText, deadline);
     
-    return rssItems;
-
-  } catch (error) {
-    console.error('ECJ scraping error:', error.message);
-    
-    // Return cached data if available
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('ECJ: Returning stale cached data due to error');
-      return cached;
-    }
-    
-    throw error;
+    // Resolve PDF sizes so the enclosures carry a real length
+    const itemsWithEnclosures = await resolveEnclosures(itemsWithText);
     
+    return itemsWithEnclosures;
+
   } finally {
     // Always cleanup browser resources for Vercel compatibility
     if (scraper) {
@@ -203,6 +174,305 @@ async function scrapeECJNews() {
   }
 }
 
+/**
+ * Parse one listing page into releases, each paired with its own summary
+ * Returns { releases, unmatched, nextPageUrl }
+ */
+function parseECJListing(html, pageUrl = LISTING_URL) {
+  const $ = cheerio.load(html);
+  const releases = [];
+  const unmatched = [];
+  
+  // Summary blocks the Court publishes in a separate section, keyed by press release number
+  const detachedSummaries = collectDetachedSummaries($);
+  
+  $('.cp_item').each((index, element) => {
+    const $item = $(element);
+    const dateText = $item.find('.cp_date').text() || '';
+    const $titleLink = $item.find('.cp_title a').first();
+    
+    const pressMatch = dateText.match(/No\s+(\d+)\/(\d{4})/);
+    const dateMatch = dateText.match(/(\d{1,2})\s+(\w+)\s+(\d{4})/);
+    
+    if (!pressMatch || !$titleLink.length) return;
+    
+    const pressNumber = pressMatch[0];
+    const link = resolveUrl($titleLink.attr('href'), CURIA_BASE_URL);
+    
+    // Summary inside or directly after this release, else one carrying the same press number
+    const summary = findAttachedSummary($, $item)
+      || detachedSummaries.get(normalizePressNumber(pressNumber))
+      || null;
+    
+    if (!summary) {
+      unmatched.push(pressNumber);
+    }
+    
+    releases.push({
+      title: $titleLink.text().trim(),
+      link,
+      date: dateMatch ? dateMatch[0] : '',
+      summary: summary ? summary.text : 'European Court of Justice judgment - full press release available.',
+      domain: summary ? summary.domain : null,
+      summaryMatched: !!summary,
+      pressNumber
+    });
+  });
+  
+  // Pagination link to the next (older) page of releases
+  const nextHref = $('a[rel="next"], .pagination .next a, .pager-next a, a.next').first().attr('href');
+  
+  return {
+    releases,
+    unmatched,
+    nextPageUrl: nextHref ? new URL(nextHref, pageUrl).href : null
+  };
+}
+
+/**
+ * Summary nested in a release, or in the sibling blocks before the next release
+ */
+function findAttachedSummary($, $item) {
+  const $nested = $item.find('.cp_domain, .cp_summary');
+  if ($nested.length) {
+    return buildSummary($, $nested);
+  }
+  
+  const $following = $item.nextUntil('.cp_item').filter('.cp_domain, .cp_summary');
+  return $following.length ? buildSummary($, $following) : null;
+}
+
+/**
+ * Summaries outside any release, keyed by the press number they name in their
+ * own text or in the press release PDF they link to (cp250123en.pdf = No 123/2025).
+ * In a section holding several summaries each one must name its own release;
+ * summaries that name none are left out rather than paired by position.
+ */
+function collectDetachedSummaries($) {
+  const summaries = new Map();
+  
+  $('.cp_domain').each((index, element) => {
+    const $domain = $(element);
+    if ($domain.closest('.cp_item').length || $domain.prevAll('.cp_item').length) return;
+    
+    const $container = $domain.parent();
+    const $block = $domain.add($domain.nextUntil('.cp_domain'));
+    const isShared = $container.children('.cp_domain').length > 1;
+    const pressNumber = findPressNumber(isShared ? $block : $container);
+    
+    if (pressNumber) {
+      summaries.set(pressNumber, buildSummary($, $block.filter('.cp_domain, .cp_summary')));
+    }
+  });
+  
+  return summaries;
+}
+
+/**
+ * Normalised press number named in the text of some blocks or in a PDF they link to
+ */
+function findPressNumber($blocks) {
+  const pdfHref = $blocks.filter('a[href$=".pdf"]').add($blocks.find('a[href$=".pdf"]')).first().attr('href');
+  const pressNumber = ($blocks.text().match(/No\s+\d+\/\d{4}/) || [])[0] || pressNumberFromUrl(pdfHref);
+  
+  return pressNumber ? normalizePressNumber(pressNumber) : null;
+}
+
+/**
+ * Domain heading plus summary text, e.g. "Competition: The Court confirms ..."
+ */
+function buildSummary($, $blocks) {
+  const domainText = $blocks.filter('.cp_domain').first().text().trim();
+  const summaryText = $blocks.filter('.cp_summary').first().text().trim();
+  
+  if (domainText && summaryText) {
+    return { domain: domainText, text: `${domainText}: ${summaryText}` };
+  }
+  
+  // A domain block on its own carries the full description
+  return { domain: null, text: domainText || summaryText };
+}
+
+/**
+ * Press release number from a Curia PDF name, e.g. .../cp250123en.pdf -> No 123/2025
+ */
+function pressNumberFromUrl(url) {
+  const match = (url || '').match(/cp(\d{2})(\d{4})[a-z]{2}\.pdf/i);
+  return match ? `No ${parseInt(match[2])}/20${match[1]}` : null;
+}
+
+/**
+ * "No 0123/2025" and "No 123/2025" name the same release
+ */
+function normalizePressNumber(pressNumber) {
+  const match = pressNumber.match(/(\d+)\/(\d{4})/);
+  return match ? `${parseInt(match[1])}/${match[2]}` : pressNumber;
+}
+
+/**
+ * Add press release PDF text to items in small batches until the scrape deadline
+ */
+async function enrichWithPressReleaseText(items, includeFullText, deadline) {
+  const enrichedItems = [];
+  
+  for (let i = 0; i < items.length; i += PDF_CONCURRENCY) {
+    const batch = items.slice(i, i + PDF_CONCURRENCY);
+    
+    if (Date.now() >= deadline) {
+      console.log(`ECJ: Time budget spent, ${items.length - i} items keep their webpage summary`);
+      enrichedItems.push(...items.slice(i));
+      break;
+    }
+    
+    const results = await Promise.allSettled(batch.map(item => extractPDFText(item.link, {
+      maxBytes: PDF_MAX_BYTES,
+      timeout: Math.min(PDF_TIMEOUT, Math.max(deadline - Date.now(), 1000))
+    })));
+    
+    results.forEach((result, index) => {
+      const item = batch[index];
+      
+      if (result.status === 'rejected') {
+        console.log(`ECJ: PDF text unavailable for ${item.link}: ${result.reason?.message}`);
+        enrichedItems.push(item);
+        return;
+      }
+      
+      const paragraphs = extractOperativeText(result.value);
+      if (paragraphs.length === 0) {
+        enrichedItems.push(item);
+        return;
+      }
+      
+      enrichedItems.push({
+        ...item,
+        description: cleanDescription(paragraphs.join(' '), 1000),
+        ...(includeFullText && {
+          content: paragraphs.map(paragraph => `<p>${escapeXml(paragraph)}</p>`).join('')
+        })
+      });
+    });
+  }
+  
+  return enrichedItems;
+}
+
+/**
+ * Operative paragraphs of a press release PDF, without the Court's header and footer,
+ * the "NOTE:" disclaimers and the press contact block that follow the text
+ */
+function extractOperativeText(text) {
+  const lines = (text || '')
+    .split(/\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim());
+  
+  // Everything from the first disclaimer on is boilerplate
+  const endIndex = lines.findIndex(line => /^(NOTE\s*:|Unofficial document for media use)/i.test(line));
+  const bodyLines = (endIndex === -1 ? lines : lines.slice(0, endIndex))
+    .filter(line => !BOILERPLATE_LINES.some(pattern => pattern.test(line)));
+  
+  // pdf-parse breaks lines at the page width; rebuild paragraphs from sentence endings
+  const paragraphs = [];
+  let current = '';
+  
+  for (const line of bodyLines) {
+    if (!line) continue;
+    
+    if (current && /[.!?:;]["\u201d]?$/.test(current) && /^[A-Z\u201c"(\u2018\u2022-]/.test(line)) {
+      paragraphs.push(current);
+      current = line;
+    } else {
+      current = current ? `${current} ${line}` : line;
+    }
+  }
+  
+  if (current) paragraphs.push(current);
+  
+  return paragraphs;
+}
+
+/**
+ * Structured case metadata from a release's title and summary
+ * e.g. "Judgment of the Court in Case C-123/24 | Commission v Poland"
+ */
+function parseCaseMetadata(release) {
+  const text = `${release.title || ''} ${release.summary || ''}`.replace(/[\u2010-\u2013]/g, '-');
+  
+  // Case numbers: C-123/24, T-45/23, appeals (C-67/24 P) and joined cases
+  const caseNumbers = [...new Set(
+    [...text.matchAll(/\b([CT])-\s?(\d{1,4})\/(\d{2})(\s?P)?\b/g)]
+      .map(([, prefix, number, year, appeal]) => `${prefix}-${number}/${year}${appeal ? ' P' : ''}`)
+  )];
+  
+  return {
+    pressNumber: release.pressNumber || null,
+    caseNumbers,
+    parties: parseParties(release.title || ''),
+    court: getCourt(caseNumbers, text),
+    documentType: getDocumentType(text),
+    domain: release.domain || null
+  };
+}
+
+/**
+ * Parties from the title segment naming them ("Commission v Poland")
+ */
+function parseParties(title) {
+  const segment = title
+    .split(/\s*[|:]\s*|,\s*/)
+    .find(part => /\S\s+v\s+\S/.test(part));
+  
+  return segment ? segment.replace(/\s*\([^)]*\)\s*$/, '').trim() : null;
+}
+
+/**
+ * Court of Justice (C- cases) or General Court (T- cases)
+ */
+function getCourt(caseNumbers, text) {
+  if (caseNumbers.some(caseNumber => caseNumber.startsWith('T-')) || /\bGeneral Court\b/.test(text)) {
+    return 'General Court';
+  }
+  
+  return 'Court of Justice';
+}
+
+/**
+ * Judgment, Opinion of the Advocate General, Order or Opinion of the Court
+ */
+function getDocumentType(text) {
+  if (/Advocate General'?s? Opinion|Opinion of (?:the )?Advocate General/i.test(text)) {
+    return 'Opinion of the Advocate General';
+  }
+  if (/\bOpinion\s+\d+\/\d+/.test(text)) return 'Opinion of the Court';
+  if (/\bOrder\b/.test(text)) return 'Order';
+  if (/\bJudgment\b/i.test(text)) return 'Judgment';
+  
+  return 'Press release';
+}
+
+/**
+ * Bounded item count from ?limit=
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  
+  if (isNaN(limit)) return DEFAULT_LIMIT;
+  
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+/**
+ * Order press release numbers ("No 123/2025") newest first
+ */
+function comparePressNumbers(a, b) {
+  const toSortKey = pressNumber => {
+    const match = (pressNumber || '').match(/(\d+)\/(\d{4})/);
+    return match ? parseInt(match[2]) * 10000 + parseInt(match[1]) : 0;
+  };
+  
+  return toSortKey(b.pressNumber) - toSortKey(a.pressNumber);
+}
+
 /**
  * Parse date string from various formats
  */
@@ -247,5 +517,8 @@ function getECJChannelInfo() {
 
 export {
   scrapeECJNews,
+  parseECJListing,
+  parseCaseMetadata,
+  extractOperativeText,
   getECJChannelInfo
 };
\ No newline at end of file
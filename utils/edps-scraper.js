@@ -0,0 +1,166 @@
+/**
+ * European Data Protection Supervisor News Scraper
+ * Scrapes https://www.edps.europa.eu/press-publications/press-news/press-releases_en
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.edps.europa.eu';
+const LISTING_URL = 'https://www.edps.europa.eu/press-publications/press-news/press-releases_en';
+
+/**
+ * Scrape EDPS press releases
+ */
+async function scrapeEDPS() {
+  console.log('Scraping EDPS press releases...');
+  const items = parseEDPSListing(await fetchHTML(LISTING_URL));
+  
+  if (items.length === 0) {
+    throw new Error('No EDPS press releases found');
+  }
+  
+  console.log(`Found ${items.length} EDPS press items`);
+  
+  return enrichItems(items, enrichEDPSItem);
+}
+
+/**
+ * Parse the EDPS listing (Europa Component Library content items)
+ */
+function parseEDPSListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  // Try different selectors for listing entries
+  const selectors = [
+    '.ecl-content-item',
+    '.ecl-content-block',
+    '.views-row',
+    'article'
+  ];
+  
+  for (const selector of selectors) {
+    const $cards = $(selector);
+    if ($cards.length === 0) continue;
+    
+    console.log(`EDPS: Found ${$cards.length} items with selector: ${selector}`);
+    
+    $cards.each((index, element) => {
+      try {
+        const $card = $(element);
+        
+        // Extract title and link
+        const $link = $card.find('.ecl-content-block__title a[href], h2 a[href], h3 a[href]').first();
+        const relativeUrl = $link.attr('href');
+        const title = $link.text().trim();
+        
+        if (!title || !relativeUrl) return;
+        
+        const link = resolveUrl(relativeUrl, BASE_URL);
+        
+        // Primary meta holds the document type and the date; tags hold the topics
+        const meta = $card.find('.ecl-content-block__primary-meta-item').map((i, item) => $(item).text().trim()).get();
+        const dateText = $card.find('time').attr('datetime') || meta.find(value => /\d{4}/.test(value)) || '';
+        const category = meta.find(value => !/\d{4}/.test(value)) || 'Press release';
+        const topics = $card.find('.ecl-tag, .ecl-content-block__secondary-meta-item').map((i, tag) => $(tag).text().trim()).get().filter(Boolean);
+        
+        // Press release reference, e.g. EDPS/2025/08
+        const referenceMatch = $card.text().match(/\bEDPS\/\d{4}\/\d+\b/);
+        
+        // Extract teaser
+        const summary = $card.find('.ecl-content-block__description, p').first().text().trim();
+        
+        items.push({
+          title: title.replace(/\s+/g, ' '),
+          link,
+          category,
+          categories: [...new Set(topics)],
+          pubDate: parseSiteDate(dateText),
+          description: cleanDescription(summary || title, 500),
+          guid: link,
+          ...(referenceMatch && { referenceNumber: referenceMatch[0] })
+        });
+        
+        // Limit to 30 items
+        if (items.length >= 30) return false;
+      
+      } catch (error) {
+        console.error('Error processing EDPS entry:', error.message);
+      }
+    });
+    
+    if (items.length > 0) break;
+  }
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content from its press release page
+ */
+async function enrichEDPSItem(item) {
+  try {
+    console.log(`EDPS: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseEDPSArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content })
+    };
+  
+  } catch (error) {
+    console.error(`EDPS: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract the press release body from an EDPS page
+ */
+function parseEDPSArticle(html) {
+  const $ = cheerio.load(html);
+  
+  const contentSelectors = [
+    '.ecl-editor',
+    '.field--name-body',
+    'main article',
+    'main'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
+      return {
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL)
+      };
+    }
+  }
+  
+  return { description: '', content: '' };
+}
+
+/**
+ * Get EDPS channel info
+ */
+function getEDPSChannelInfo() {
+  return {
+    title: 'European Data Protection Supervisor Press Releases',
+    description: 'Press releases and news from the European Data Protection Supervisor',
+    link: 'https://www.edps.europa.eu/press-publications/press-news/press-releases_en',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeEDPS,
+  parseEDPSListing,
+  parseEDPSArticle,
+  getEDPSChannelInfo
+};
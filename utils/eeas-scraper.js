@@ -4,8 +4,8 @@
  */
 
 import * as cheerio from 'cheerio';
-import { fetchHTML, cache } from './http-client.js';
-import { resolveUrl, cleanDescription } from './rss-builder.js';
+import { fetchHTML } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML } from './rss-builder.js';
 
 /**
  * Scrape EEAS press material listings
@@ -15,14 +15,6 @@ async function scrapeEEAS() {
   const listingUrl = 'https://www.eeas.europa.eu/eeas/press-material_en';
   
   try {
-    // Check cache first
-    const cacheKey = 'eeas-feed';
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached EEAS data');
-      return cached;
-    }
-    
     console.log('Scraping EEAS press material...');
     const html = await fetchHTML(listingUrl);
     const $ = cheerio.load(html);
@@ -88,21 +80,10 @@ async function scrapeEEAS() {
         description: item.title // Fallback to title as description
       })));
     
-    // Cache results
-    cache.set(cacheKey, enrichedItems);
-    
     return enrichedItems;
     
   } catch (error) {
     console.error('EEAS scraping error:', error.message);
-    
-    // Return cached data if available
-    const cached = cache.get('eeas-feed');
-    if (cached) {
-      console.log('Returning stale cached data due to error');
-      return cached;
-    }
-    
     throw error;
   }
 }
@@ -127,6 +108,7 @@ async function enrichItemContent(item) {
     
     // Extract main content
     let content = '';
+    let contentHtml = '';
     
     // Try different content selectors
     const contentSelectors = [
@@ -145,6 +127,7 @@ async function enrichItemContent(item) {
       const $content = $(selector).first();
       if ($content.length) {
         content = $content.text().trim();
+        contentHtml = $content.html();
         console.log(`Found content using selector: ${selector} (${content.length} chars)`);
         break;
       }
@@ -158,9 +141,13 @@ async function enrichItemContent(item) {
     // Clean and limit content
     const description = cleanDescription(content, 500) || item.title;
     
+    // Keep the full press release as sanitized HTML for content:encoded
+    const fullContent = sanitizeContentHTML(contentHtml, 'https://www.eeas.europa.eu');
+    
     return {
       ...item,
-      description
+      description,
+      ...(fullContent && { content: fullContent })
     };
     
   } catch (error) {
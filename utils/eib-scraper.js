@@ -0,0 +1,169 @@
+/**
+ * European Investment Bank Press Scraper
+ * Scrapes https://www.eib.org/en/press/index.htm
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.eib.org';
+const LISTING_URL = 'https://www.eib.org/en/press/index.htm';
+
+/**
+ * Scrape EIB press releases and news
+ */
+async function scrapeEIB() {
+  console.log('Scraping EIB press...');
+  const items = parseEIBListing(await fetchHTML(LISTING_URL));
+  
+  if (items.length === 0) {
+    throw new Error('No EIB press items found');
+  }
+  
+  console.log(`Found ${items.length} EIB press items`);
+  
+  return enrichItems(items, enrichEIBItem);
+}
+
+/**
+ * Parse the EIB press listing page
+ */
+function parseEIBListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  // Try different selectors for press cards
+  const selectors = [
+    '.search-filter__results article',
+    '.press-list__item',
+    '.card--press',
+    'article'
+  ];
+  
+  for (const selector of selectors) {
+    const $cards = $(selector);
+    if ($cards.length === 0) continue;
+    
+    console.log(`EIB: Found ${$cards.length} items with selector: ${selector}`);
+    
+    $cards.each((index, element) => {
+      try {
+        const $card = $(element);
+        
+        // Extract title and link
+        const $heading = $card.find('.card__title, h2, h3, h4').first();
+        const $link = $heading.find('a[href]').first().length
+          ? $heading.find('a[href]').first()
+          : $card.find('a[href]').first();
+        const relativeUrl = $link.attr('href');
+        const title = $heading.text().trim() || $link.text().trim();
+        
+        if (!title || !relativeUrl) return;
+        
+        const link = resolveUrl(relativeUrl, BASE_URL);
+        
+        // Document type and topic tags
+        const category = $card.find('.card__type, .press-list__type').first().text().trim() || 'Press release';
+        const tags = $card.find('.card__tags a, .tags a, .tag').map((i, tag) => $(tag).text().trim()).get().filter(Boolean);
+        
+        // Extract date
+        const $time = $card.find('time').first();
+        const dateText = $time.attr('datetime') || $time.text().trim()
+          || $card.find('.card__date, .date').first().text().trim();
+        
+        // Extract teaser
+        const summary = $card.find('.card__text, .card__description, p').first().text().trim();
+        
+        items.push({
+          title: title.replace(/\s+/g, ' '),
+          link,
+          category,
+          categories: [...new Set(tags)],
+          pubDate: parseSiteDate(dateText),
+          description: cleanDescription(summary || title, 500),
+          guid: link
+        });
+        
+        // Limit to 30 items
+        if (items.length >= 30) return false;
+      
+      } catch (error) {
+        console.error('Error processing EIB card:', error.message);
+      }
+    });
+    
+    if (items.length > 0) break;
+  }
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content from its press release page
+ */
+async function enrichEIBItem(item) {
+  try {
+    console.log(`EIB: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseEIBArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content })
+    };
+  
+  } catch (error) {
+    console.error(`EIB: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract the press release body from an EIB page
+ */
+function parseEIBArticle(html) {
+  const $ = cheerio.load(html);
+  
+  const contentSelectors = [
+    '.press-release__body',
+    '.article__body',
+    'article .content',
+    'main article',
+    'main'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
+      return {
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL)
+      };
+    }
+  }
+  
+  return { description: '', content: '' };
+}
+
+/**
+ * Get EIB channel info
+ */
+function getEIBChannelInfo() {
+  return {
+    title: 'European Investment Bank Press',
+    description: 'Press releases and news from the European Investment Bank',
+    link: 'https://www.eib.org/en/press/index.htm',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeEIB,
+  parseEIBListing,
+  parseEIBArticle,
+  getEIBChannelInfo
+};
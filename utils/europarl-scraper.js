@@ -0,0 +1,376 @@
+/**
+ * European Parliament Written Questions Scraper
+ * Scrapes https://www.europarl.europa.eu/plenary/en/parliamentary-questions.html
+ *
+ * Strategy:
+ * 1. Read the written questions listing for question numbers, subjects and document links
+ * 2. Pull question and answer text from the HTML documents, falling back to the PDF versions
+ * 3. Capture author MEP, addressee institution and answer date as item metadata and categories
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, fetchWithRetry, resolveEnclosures } from './http-client.js';
+import { resolveUrl, cleanDescription, escapeXml, parseSiteDate } from './rss-builder.js';
+import { extractPDFText } from './pdf-text.js';
+
+const BASE_URL = 'https://www.europarl.europa.eu';
+const LISTING_URL = 'https://www.europarl.europa.eu/plenary/en/parliamentary-questions.html?tabType=wq';
+
+/**
+ * Question and answer documents are fetched in small batches within one time budget,
+ * each question getting at most QUESTION_TIMEOUT; questions not reached keep their listing data
+ */
+const ENRICH_LIMIT = 15;
+const ENRICH_TIME_BUDGET = 25000;
+const ENRICH_CONCURRENCY = 5;
+const QUESTION_TIMEOUT = 10000;
+
+/**
+ * Addressee phrases used in question documents, mapped to category names
+ */
+const ADDRESSEES = [
+  { pattern: /to the Vice-President of the Commission\s*\/\s*High Representative/i, name: 'Vice-President / High Representative' },
+  { pattern: /to the Commission/i, name: 'European Commission' },
+  { pattern: /to the Council/i, name: 'Council of the EU' }
+];
+
+/**
+ * Scrape written questions and their answers
+ */
+async function scrapeEuroparlQuestions() {
+  console.log('Europarl: Scraping written questions listing...');
+  const html = await fetchHTML(LISTING_URL);
+  const questions = parseEuroparlListing(html);
+  
+  if (questions.length === 0) {
+    throw new Error('No parliamentary questions found on the listing page');
+  }
+  
+  console.log(`Europarl: Found ${questions.length} questions`);
+  
+  const items = await enrichQuestions(questions.slice(0, ENRICH_LIMIT), Date.now() + ENRICH_TIME_BUDGET);
+  
+  // Resolve PDF sizes so the enclosures carry a real length
+  return resolveEnclosures(items);
+}
+
+/**
+ * Fetch question and answer text in batches of ENRICH_CONCURRENCY until the deadline
+ */
+async function enrichQuestions(questions, deadline) {
+  const items = [];
+  
+  for (let i = 0; i < questions.length; i += ENRICH_CONCURRENCY) {
+    if (Date.now() >= deadline) {
+      console.log(`Europarl: Time budget spent, ${questions.length - i} questions keep their listing data`);
+      items.push(...questions.slice(i).map(question => buildQuestionItem(question, {})));
+      break;
+    }
+    
+    const batch = questions.slice(i, i + ENRICH_CONCURRENCY);
+    const questionDeadline = Math.min(deadline, Date.now() + QUESTION_TIMEOUT);
+    const results = await Promise.allSettled(batch.map(question => enrichQuestion(question, questionDeadline)));
+    
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.log(`Europarl: Documents unavailable for ${batch[index].questionNumber}: ${result.reason?.message}`);
+      }
+      items.push(result.status === 'fulfilled' ? result.value : buildQuestionItem(batch[index], {}));
+    });
+  }
+  
+  return items;
+}
+
+/**
+ * Parse the written questions listing page
+ */
+function parseEuroparlListing(html) {
+  const $ = cheerio.load(html);
+  const questions = [];
+  
+  // Try different selectors for question entries
+  const selectors = [
+    '.notice',
+    '.erpl_document',
+    '.erpl_search-results .erpl_document',
+    'div[class*="question"]'
+  ];
+  
+  for (const selector of selectors) {
+    const $entries = $(selector);
+    if ($entries.length === 0) continue;
+    
+    console.log(`Europarl: Found ${$entries.length} entries with selector: ${selector}`);
+    
+    $entries.each((index, element) => {
+      const $entry = $(element);
+      const text = $entry.text().replace(/\s+/g, ' ');
+      
+      const referenceMatch = text.match(/\b([EPO])-(\d{6})\/(\d{4})\b/);
+      const htmlHref = $entry.find('a[href*="/doceo/document/"][href$=".html"], a[href$="_EN.html"]').attr('href')
+        || $entry.find('a').first().attr('href');
+      const pdfHref = $entry.find('a[href$=".pdf"]').attr('href');
+      
+      if (!referenceMatch || !htmlHref) return;
+      
+      const title = $entry.find('.title, .erpl_document-title, h3, h4').first().text().trim()
+        || $entry.find('a').first().text().trim();
+      const dateText = $entry.find('.date, time, .erpl_document-subtitle-date').first().text() || text;
+      const dateMatch = dateText.match(/(\d{1,2})[-./](\d{1,2})[-./](\d{4})/);
+      
+      questions.push({
+        questionNumber: referenceMatch[0],
+        title: title.replace(/\s+/g, ' '),
+        htmlUrl: resolveUrl(htmlHref, BASE_URL),
+        pdfUrl: pdfHref ? resolveUrl(pdfHref, BASE_URL) : null,
+        author: $entry.find('.author, .erpl_document-subtitle-author, .mep-name').first().text().trim(),
+        date: dateMatch ? dateMatch[0] : null
+      });
+    });
+    
+    if (questions.length > 0) break;
+  }
+  
+  return questions;
+}
+
+/**
+ * Fetch question and answer documents for one question
+ */
+async function enrichQuestion(question, deadline) {
+  console.log(`Europarl: Fetching documents for ${question.questionNumber}`);
+  
+  const questionDocument = await fetchDocumentText(question.htmlUrl, question.pdfUrl || toPdfUrl(question.htmlUrl), deadline);
+  const answerUrl = toAnswerUrl(question.htmlUrl);
+  
+  let answerDocument = null;
+  if (answerUrl) {
+    try {
+      answerDocument = await fetchDocumentText(answerUrl, toPdfUrl(answerUrl), deadline);
+    } catch (error) {
+      // No answer published yet
+      console.log(`Europarl: No answer available for ${question.questionNumber}`);
+    }
+  }
+  
+  return buildQuestionItem(question, {
+    questionText: questionDocument.text,
+    answerText: answerDocument?.text || ''
+  });
+}
+
+/**
+ * Get document text from the HTML version, falling back to the PDF version, both aborted at the deadline
+ */
+async function fetchDocumentText(htmlUrl, pdfUrl, deadline) {
+  const remaining = () => Math.max(deadline - Date.now(), 1000);
+  
+  try {
+    const response = await fetchWithRetry(htmlUrl, { signal: AbortSignal.timeout(remaining()) });
+    const text = extractDocumentText(await response.text());
+    
+    if (text.length > 50) {
+      return { text, source: 'html' };
+    }
+    
+    throw new Error('HTML document has no usable text');
+  
+  } catch (error) {
+    if (!pdfUrl) throw error;
+    
+    console.log(`Europarl: HTML unavailable for ${htmlUrl} (${error.message}), trying PDF`);
+    const text = await extractPDFText(pdfUrl, { maxBytes: 2 * 1024 * 1024, timeout: remaining() });
+    
+    return { text: normalizeWhitespace(text), source: 'pdf' };
+  }
+}
+
+/**
+ * Extract the document body text from a question or answer HTML page
+ */
+function extractDocumentText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, nav, header, footer').remove();
+  
+  const contentSelectors = ['.contents', '#docContent', '.erpl_document-body', 'main', 'body'];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 50) {
+      // Keep paragraph breaks so the text can be split again later
+      $content.find('p, li, br, h1, h2, h3, h4, tr').each((index, element) => {
+        $(element).append('\n');
+      });
+      return normalizeWhitespace($content.text());
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Parse metadata and build the RSS item for a question
+ */
+function buildQuestionItem(question, { questionText = '', answerText = '' }) {
+  const metadata = parseQuestionMetadata(questionText);
+  const answerDate = parseAnswerDate(answerText);
+  const author = metadata.author || question.author;
+  const subject = metadata.subject || question.title || question.questionNumber;
+  
+  const questionBody = stripQuestionHeader(questionText);
+  const answerBody = stripAnswerHeader(answerText);
+  
+  const description = answerBody
+    ? `${questionBody} Answer: ${answerBody}`
+    : questionBody || subject;
+  
+  const categories = [
+    metadata.addressee,
+    answerBody ? 'Answered' : 'Awaiting answer',
+    metadata.politicalGroup
+  ].filter(Boolean);
+  
+  return {
+    title: `${subject} (${question.questionNumber})`,
+    link: question.htmlUrl,
+    description: cleanDescription(description, 500),
+    ...(questionBody && { content: buildQuestionContent(questionBody, answerBody, answerDate) }),
+    pubDate: parseSiteDate(metadata.date || question.date),
+    guid: question.htmlUrl,
+    category: 'Written question',
+    categories,
+    ...(author && { author }),
+    questionNumber: question.questionNumber,
+    ...(metadata.addressee && { addressee: metadata.addressee }),
+    ...(answerDate && { answerDate }),
+    ...((question.pdfUrl || toPdfUrl(question.htmlUrl)) && {
+      enclosure: { url: question.pdfUrl || toPdfUrl(question.htmlUrl), type: 'application/pdf' }
+    })
+  };
+}
+
+/**
+ * Extract subject, author, political group, addressee and date from question text
+ */
+function parseQuestionMetadata(text) {
+  if (!text) return {};
+  
+  const subjectMatch = text.match(/Subject:\s*([^\n]+)/i);
+  const authorMatch = text.match(/Rule\s+\d+\s*\n?\s*([^\n(]+?)\s*\(([^)]+)\)/i);
+  const dateMatch = text.match(/\b(\d{1,2}\.\d{1,2}\.\d{4})\b/);
+  
+  // Only the header names the addressee; the question body may mention other institutions
+  const header = subjectMatch ? text.substring(0, subjectMatch.index) : '';
+  const addressee = ADDRESSEES.find(entry => entry.pattern.test(header));
+  
+  return {
+    subject: subjectMatch ? subjectMatch[1].trim() : '',
+    author: authorMatch ? authorMatch[1].trim() : '',
+    politicalGroup: authorMatch ? authorMatch[2].trim() : '',
+    addressee: addressee ? addressee.name : '',
+    date: dateMatch ? dateMatch[1] : ''
+  };
+}
+
+/**
+ * Extract the answer date, e.g. "Answer given by ... on behalf of the European Commission (12.3.2025)"
+ */
+function parseAnswerDate(text) {
+  if (!text) return null;
+  
+  const match = text.match(/Answer given by[^(]*\((\d{1,2}\.\d{1,2}\.\d{4})\)/i)
+    || text.match(/\((\d{1,2}\.\d{1,2}\.\d{4})\)/);
+  
+  return match ? parseSiteDate(match[1]) : null;
+}
+
+/**
+ * Remove the "Question for written answer ... Subject: ..." header from question text
+ */
+function stripQuestionHeader(text) {
+  if (!text) return '';
+  
+  const subjectIndex = text.search(/Subject:/i);
+  const body = subjectIndex >= 0 ? text.substring(subjectIndex).replace(/^Subject:[^\n]*\n?/i, '') : text;
+  
+  return body.replace(/Last updated:.*$/is, '').trim();
+}
+
+/**
+ * Remove the "Answer given by ..." header line from answer text
+ */
+function stripAnswerHeader(text) {
+  if (!text) return '';
+  
+  const headerMatch = text.match(/Answer given by[^\n]*\n?/i);
+  const body = headerMatch ? text.substring(headerMatch.index + headerMatch[0].length) : text;
+  
+  return body.replace(/Last updated:.*$/is, '').trim();
+}
+
+/**
+ * Build content:encoded HTML with question and answer paragraphs
+ */
+function buildQuestionContent(questionBody, answerBody, answerDate) {
+  const toParagraphs = text => text
+    .split(/\n+/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeXml(paragraph)}</p>`)
+    .join('');
+  
+  const answerHeading = answerDate
+    ? `<h3>Answer (${new Date(answerDate).toUTCString().substring(5, 16)})</h3>`
+    : '<h3>Answer</h3>';
+  
+  return `<h3>Question</h3>${toParagraphs(questionBody)}${answerBody ? answerHeading + toParagraphs(answerBody) : ''}`;
+}
+
+/**
+ * Question document URL -> answer document URL (E-10-2025-001234_EN.html -> E-10-2025-001234-ASW_EN.html)
+ */
+function toAnswerUrl(htmlUrl) {
+  return /_EN\.html$/i.test(htmlUrl) ? htmlUrl.replace(/_EN\.html$/i, '-ASW_EN.html') : null;
+}
+
+/**
+ * HTML document URL -> PDF document URL
+ */
+function toPdfUrl(htmlUrl) {
+  return /\.html$/i.test(htmlUrl) ? htmlUrl.replace(/\.html$/i, '.pdf') : null;
+}
+
+/**
+ * Collapse runs of spaces while keeping line breaks
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Get Europarl channel info
+ */
+function getEuroparlChannelInfo() {
+  return {
+    title: 'European Parliament - Written Questions',
+    description: 'Written questions from Members of the European Parliament and the answers from EU institutions',
+    link: 'https://www.europarl.europa.eu/plenary/en/parliamentary-questions.html',
+    language: 'en',
+    generator: 'EU RSS Generator - Europarl Q&A'
+  };
+}
+
+export {
+  scrapeEuroparlQuestions,
+  parseEuroparlListing,
+  extractDocumentText,
+  parseQuestionMetadata,
+  buildQuestionItem,
+  enrichQuestions,
+  getEuroparlChannelInfo
+};
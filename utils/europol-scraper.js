@@ -0,0 +1,190 @@
+/**
+ * Europol Newsroom Scraper
+ * Scrapes https://www.europol.europa.eu/media-press/newsroom
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.europol.europa.eu';
+const LISTING_URL = 'https://www.europol.europa.eu/media-press/newsroom';
+
+/**
+ * Scrape Europol newsroom listings
+ */
+async function scrapeEuropol() {
+  console.log('Scraping Europol newsroom...');
+  const items = parseEuropolListing(await fetchHTML(LISTING_URL));
+  
+  if (items.length === 0) {
+    throw new Error('No Europol news items found');
+  }
+  
+  console.log(`Found ${items.length} Europol news items`);
+  
+  return enrichItems(items, enrichEuropolItem);
+}
+
+/**
+ * Parse the Europol newsroom listing page
+ */
+function parseEuropolListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  // Try different selectors for news teasers
+  const selectors = [
+    '.c-news-list__item',
+    '.node--type-news.node--view-mode-teaser',
+    '.views-row',
+    'article'
+  ];
+  
+  for (const selector of selectors) {
+    const $cards = $(selector);
+    if ($cards.length === 0) continue;
+    
+    console.log(`Europol: Found ${$cards.length} items with selector: ${selector}`);
+    
+    $cards.each((index, element) => {
+      try {
+        const $card = $(element);
+        
+        // Extract title and link from the heading, not from the crime-area tags
+        const $heading = $card.find('.c-news-list__title, h2, h3, h4').first();
+        const $link = $heading.find('a[href]').first().length
+          ? $heading.find('a[href]').first()
+          : $card.find('a[href*="/newsroom/news/"]').first();
+        const relativeUrl = $link.attr('href');
+        const title = $heading.text().trim() || $link.text().trim();
+        
+        if (!title || !relativeUrl) return;
+        
+        const link = resolveUrl(relativeUrl, BASE_URL);
+        
+        // Extract date
+        const $time = $card.find('time').first();
+        const dateText = $time.attr('datetime') || $time.text().trim()
+          || $card.find('.c-news-list__date, .date').first().text().trim();
+        
+        // Extract teaser
+        const summary = $card.find('.c-news-list__summary, .field--name-body, p').first().text().trim();
+        
+        const crimeAreas = extractCrimeAreas($, $card);
+        
+        items.push({
+          title: title.replace(/\s+/g, ' '),
+          link,
+          category: 'News',
+          categories: crimeAreas,
+          pubDate: parseSiteDate(dateText),
+          description: cleanDescription(summary || title, 500),
+          guid: link
+        });
+        
+        // Limit to 30 items
+        if (items.length >= 30) return false;
+      
+      } catch (error) {
+        console.error('Error processing Europol card:', error.message);
+      }
+    });
+    
+    if (items.length > 0) break;
+  }
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content and crime areas from its detail page
+ */
+async function enrichEuropolItem(item) {
+  try {
+    console.log(`Europol: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseEuropolArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content }),
+      categories: [...new Set([...item.categories, ...article.crimeAreas])],
+      pubDate: item.pubDate || article.pubDate
+    };
+  
+  } catch (error) {
+    console.error(`Europol: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract article body, crime areas and date from a Europol news page
+ */
+function parseEuropolArticle(html) {
+  const $ = cheerio.load(html);
+  const $time = $('time').first();
+  const pubDate = parseSiteDate($time.attr('datetime') || $time.text().trim());
+  const crimeAreas = extractCrimeAreas($, $('main').length ? $('main') : $('body'));
+  
+  const contentSelectors = [
+    '.field--name-body',
+    '.c-article__body',
+    'article .content',
+    'main article',
+    'main'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
+      return {
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL),
+        crimeAreas,
+        pubDate
+      };
+    }
+  }
+  
+  return { description: '', content: '', crimeAreas, pubDate };
+}
+
+/**
+ * Crime-area tags link to /crime-areas/... (older pages use /crime-areas-and-statistics/crime-areas/...)
+ */
+function extractCrimeAreas($, $scope) {
+  const areas = [];
+  
+  $scope.find('a[href*="/crime-areas"]').each((index, element) => {
+    const area = $(element).text().replace(/\s+/g, ' ').trim();
+    if (area && !areas.includes(area)) {
+      areas.push(area);
+    }
+  });
+  
+  return areas;
+}
+
+/**
+ * Get Europol channel info
+ */
+function getEuropolChannelInfo() {
+  return {
+    title: 'Europol News',
+    description: 'Operational news and press releases from Europol, the European Union Agency for Law Enforcement Cooperation',
+    link: 'https://www.europol.europa.eu/media-press/newsroom',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeEuropol,
+  parseEuropolListing,
+  parseEuropolArticle,
+  getEuropolChannelInfo
+};
@@ -0,0 +1,58 @@
+/**
+ * Feed Catalog
+ * Machine-readable metadata for every registered feed, as JSON or OPML 2.0
+ */
+
+import { escapeXml } from './rss-builder.js';
+
+/**
+ * Build catalog entries from the registered feeds
+ */
+function buildCatalog(feeds, getStats, baseUrl) {
+  return feeds.map(feed => {
+    const channelInfo = feed.channelInfo ? feed.channelInfo() : null;
+    const stats = getStats(feed.id);
+    
+    return {
+      id: feed.id,
+      title: channelInfo?.title || feed.name,
+      description: channelInfo?.description || feed.description.replace(/<[^>]*>/g, ''),
+      feedUrl: `${baseUrl}/api/${feed.id}`,
+      sourceUrl: channelInfo?.link || null,
+      status: feed.status,
+      ttl: feed.ttl,
+      requiresBrowser: feed.requiresBrowser,
+      lastSuccessfulScrape: stats.lastSuccessfulScrape,
+      itemCount: stats.itemCount
+    };
+  });
+}
+
+/**
+ * Generate an OPML 2.0 subscription list from catalog entries
+ */
+function generateOPML(catalog, baseUrl) {
+  const outlines = catalog
+    .map(entry => `      <outline type="rss" text="${escapeXml(entry.title)}" title="${escapeXml(entry.title)}" description="${escapeXml(entry.description)}" xmlUrl="${escapeXml(entry.feedUrl)}"${entry.sourceUrl ? ` htmlUrl="${escapeXml(entry.sourceUrl)}"` : ''} />`)
+    .join('\n');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>EU RSS Generator Feeds</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+    <docs>http://opml.org/spec2.opml</docs>
+    <ownerId>${escapeXml(baseUrl)}</ownerId>
+  </head>
+  <body>
+    <outline text="EU Institutions" title="EU Institutions">
+${outlines}
+    </outline>
+  </body>
+</opml>`;
+}
+
+export {
+  buildCatalog,
+  generateOPML
+};
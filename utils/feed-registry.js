@@ -0,0 +1,312 @@
+/**
+ * Feed Registry
+ * Single place where every source is registered; the API handler, the
+ * "Available feeds" message and the landing page are all generated from it
+ */
+
+import { scrapeEEAS, getEEASChannelInfo } from './eeas-scraper.js';
+import { scrapeECJNews, getECJChannelInfo } from './ecj-scraper.js';
+import { scrapeNATO, getNATOChannelInfo } from './nato-scraper.js';
+import { scrapeConsiliumAdvanced, getConsiliumAdvancedChannelInfo } from './consilium-scraper-advanced.js';
+import { scrapeECANewsAPI, getECAChannelInfoAPI } from './eca-scraper-api.js';
+import { scrapeCOENews, getCOEChannelInfo, getPlaceholderCOEContent } from './coe-scraper.js';
+import { scrapeEuroparlQuestions, getEuroparlChannelInfo } from './europarl-scraper.js';
+import { scrapeFrontex, getFrontexChannelInfo } from './frontex-scraper.js';
+import { scrapeEuropol, getEuropolChannelInfo } from './europol-scraper.js';
+import { scrapeCommissionPressCorner, getCommissionChannelInfo } from './commission-scraper.js';
+import { scrapeECB, getECBChannelInfo } from './ecb-scraper.js';
+import { scrapeEIB, getEIBChannelInfo } from './eib-scraper.js';
+import { scrapeOmbudsman, getOmbudsmanChannelInfo } from './ombudsman-scraper.js';
+import { scrapeEDPS, getEDPSChannelInfo } from './edps-scraper.js';
+import { scrapeCompositeFeed, getAllChannelInfo } from './aggregate-feed.js';
+import { cache } from './http-client.js';
+
+/**
+ * Default cache lifetime for feed responses (seconds)
+ */
+const DEFAULT_TTL = 1800;
+
+const feeds = new Map();
+
+/**
+ * Register a feed source
+ *
+ * scrape(query) resolves to an item array, or to { items, channelInfo } when the
+ * channel info depends on the result. Feeds without scrape are served as "Coming Soon".
+ * queryParams lists the query parameters scrape reads; all others are dropped
+ * before scraping and caching. placeholder() gives the items to show when a scrape
+ * fails with no earlier data; they are neither cached nor recorded as a scrape.
+ */
+function registerFeed({
+  id,
+  name,
+  description = '',
+  scrape = null,
+  channelInfo = null,
+  status = 'ready',
+  ttl = DEFAULT_TTL,
+  requiresBrowser = false,
+  aggregate = true,
+  queryParams = [],
+  placeholder = null
+}) {
+  if (!id || !name) {
+    throw new Error('Feed registration requires an id and a name');
+  }
+  
+  if (feeds.has(id)) {
+    throw new Error(`Feed "${id}" is already registered`);
+  }
+  
+  feeds.set(id, {
+    id,
+    name,
+    description,
+    scrape,
+    channelInfo,
+    status,
+    ttl,
+    requiresBrowser,
+    aggregate: aggregate && !!scrape,
+    queryParams,
+    placeholder
+  });
+}
+
+/**
+ * Look up a registered feed by id
+ */
+function getFeed(id) {
+  return feeds.get(id) || null;
+}
+
+/**
+ * All registered feeds in registration order
+ */
+function getAllFeeds() {
+  return [...feeds.values()];
+}
+
+/**
+ * Record a successful scrape for the catalog (kept in the cache backend so it survives restarts)
+ */
+function recordFeedScrape(id, itemCount) {
+  cache.set(`feed-stats:${id}`, {
+    lastSuccessfulScrape: new Date().toISOString(),
+    itemCount
+  });
+}
+
+/**
+ * Last successful scrape time and item count for a feed
+ */
+function getFeedStats(id) {
+  return cache.getStale(`feed-stats:${id}`) || { lastSuccessfulScrape: null, itemCount: null };
+}
+
+/**
+ * Load a feed through the stale-while-revalidate cache
+ * (forceRefresh scrapes again and replaces only this feed's cache entry,
+ * still falling back to the last good data when the scrape fails)
+ * Resolves to { items, channelInfo, stale, age, storedAt }
+ */
+async function loadFeed(feed, query = {}, { forceRefresh = false } = {}) {
+  const feedQuery = pickQueryParams(query, feed.queryParams);
+  const cacheKey = `feed:${feed.id}${getQuerySignature(feedQuery)}`;
+  const ttl = feed.ttl * 1000;
+  
+  // Scrapers keep no result cache and simply throw on failure: getOrRevalidate
+  // then serves the last good data for this key, so none needs a fallback of its own
+  const loader = async () => {
+    const scraped = await feed.scrape(feedQuery);
+    const data = Array.isArray(scraped)
+      ? { items: scraped, channelInfo: feed.channelInfo() }
+      : scraped;
+    
+    recordFeedScrape(feed.id, data.items.length);
+    return data;
+  };
+  
+  const result = await cache.getOrRevalidate(cacheKey, loader, ttl, { force: forceRefresh });
+  
+  return {
+    ...result.data,
+    stale: result.stale,
+    age: result.age,
+    storedAt: result.storedAt
+  };
+}
+
+/**
+ * The parameters a feed declares, leaving out tracking and cache-busting ones
+ */
+function pickQueryParams(query, queryParams) {
+  return Object.fromEntries(queryParams
+    .filter(param => query[param] !== undefined)
+    .map(param => [param, query[param]]));
+}
+
+/**
+ * Feed query parameters as a stable cache key suffix
+ */
+function getQuerySignature(query) {
+  const params = Object.keys(query)
+    .sort()
+    .map(key => `${key}=${[].concat(query[key]).join(',')}`);
+  
+  return params.length > 0 ? `?${params.join('&')}` : '';
+}
+
+/**
+ * Feeds that take part in the merged "all" feed, loaded through the feed cache
+ */
+function getAggregateSources() {
+  return getAllFeeds()
+    .filter(feed => feed.aggregate)
+    .map(feed => ({
+      ...feed,
+      scrape: async query => (await loadFeed(feed, query)).items
+    }));
+}
+
+registerFeed({
+  id: 'eeas',
+  name: 'EEAS Press Material',
+  description: 'European External Action Service Press Releases and Statements',
+  scrape: scrapeEEAS,
+  channelInfo: getEEASChannelInfo
+});
+
+registerFeed({
+  id: 'curia',
+  name: 'European Court of Justice',
+  description: 'Court press releases summarised from the release PDF. Set the item count with <code>limit</code> (default 20, max 50) and add <code>fulltext=true</code> for the full text',
+  scrape: scrapeECJNews,
+  channelInfo: getECJChannelInfo,
+  requiresBrowser: true,
+  queryParams: ['limit', 'fulltext']
+});
+
+registerFeed({
+  id: 'europarl',
+  name: 'European Parliament Q&A',
+  description: 'Written questions and answers with PDF text extraction',
+  scrape: scrapeEuroparlQuestions,
+  channelInfo: getEuroparlChannelInfo
+});
+
+registerFeed({
+  id: 'eca',
+  name: 'European Court of Auditors',
+  description: 'ECA news, special reports, reviews and opinions with the report PDF attached. Filter with <code>topic</code> (e.g. agriculture, comma-separated) and a <code>from</code>/<code>to</code> date range (YYYY-MM-DD)',
+  scrape: scrapeECANewsAPI,
+  channelInfo: getECAChannelInfoAPI,
+  status: 'development',
+  requiresBrowser: true,
+  queryParams: ['topic', 'from', 'to']
+});
+
+registerFeed({
+  id: 'consilium',
+  name: 'EU Council Press Releases',
+  description: 'Council decisions and press releases (Fallback mode due to dynamic content)',
+  scrape: scrapeConsiliumAdvanced,
+  channelInfo: getConsiliumAdvancedChannelInfo,
+  requiresBrowser: true
+});
+
+registerFeed({
+  id: 'frontex',
+  name: 'Frontex News',
+  description: 'News releases, press releases and focus stories with full content',
+  scrape: scrapeFrontex,
+  channelInfo: getFrontexChannelInfo
+});
+
+registerFeed({
+  id: 'europol',
+  name: 'Europol News',
+  description: 'Operational news with full content and crime areas as categories',
+  scrape: scrapeEuropol,
+  channelInfo: getEuropolChannelInfo
+});
+
+registerFeed({
+  id: 'coe',
+  name: 'Council of Europe',
+  description: 'CoE newsroom and announcements',
+  scrape: scrapeCOENews,
+  channelInfo: getCOEChannelInfo,
+  status: 'development',
+  requiresBrowser: true,
+  placeholder: getPlaceholderCOEContent
+});
+
+registerFeed({
+  id: 'nato',
+  name: 'NATO News',
+  description: 'NATO press releases and statements',
+  scrape: scrapeNATO,
+  channelInfo: getNATOChannelInfo
+});
+
+registerFeed({
+  id: 'commission',
+  name: 'European Commission Press Corner',
+  description: 'Press releases, statements, daily news, speeches and Q&As with reference numbers and commissioners',
+  scrape: scrapeCommissionPressCorner,
+  channelInfo: getCommissionChannelInfo
+});
+
+registerFeed({
+  id: 'ecb',
+  name: 'European Central Bank',
+  description: 'Press releases and monetary policy decisions',
+  scrape: scrapeECB,
+  channelInfo: getECBChannelInfo
+});
+
+registerFeed({
+  id: 'eib',
+  name: 'European Investment Bank',
+  description: 'Press releases and news with topics as categories',
+  scrape: scrapeEIB,
+  channelInfo: getEIBChannelInfo
+});
+
+registerFeed({
+  id: 'ombudsman',
+  name: 'European Ombudsman',
+  description: 'Press releases, decisions and inquiry openings with case numbers',
+  scrape: scrapeOmbudsman,
+  channelInfo: getOmbudsmanChannelInfo
+});
+
+registerFeed({
+  id: 'edps',
+  name: 'European Data Protection Supervisor',
+  description: 'Press releases and news with topics as categories',
+  scrape: scrapeEDPS,
+  channelInfo: getEDPSChannelInfo
+});
+
+registerFeed({
+  id: 'all',
+  name: 'All Institutions',
+  description: 'Merged feed of all working sources, sorted by date and de-duplicated. Filter with <code>sources</code>, <code>category</code>, <code>q</code> and <code>exclude</code>',
+  scrape: query => scrapeCompositeFeed(query, getAggregateSources()),
+  channelInfo: getAllChannelInfo,
+  requiresBrowser: true,
+  aggregate: false,
+  queryParams: ['sources', 'category', 'q', 'exclude']
+});
+
+export {
+  registerFeed,
+  getFeed,
+  getAllFeeds,
+  loadFeed,
+  getAggregateSources,
+  recordFeedScrape,
+  getFeedStats
+};
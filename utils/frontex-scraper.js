@@ -0,0 +1,189 @@
+/**
+ * Frontex Newsroom Scraper
+ * Scrapes https://www.frontex.europa.eu/media-centre/news/
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.frontex.europa.eu';
+const LISTING_URL = 'https://www.frontex.europa.eu/media-centre/news/';
+
+/**
+ * URL path segments mapped to Frontex news categories
+ */
+const CATEGORY_PATHS = {
+  'news-release': 'News release',
+  'press-release': 'Press release',
+  'focus': 'Focus',
+  'news': 'News'
+};
+
+/**
+ * Scrape Frontex newsroom listings
+ */
+async function scrapeFrontex() {
+  console.log('Scraping Frontex newsroom...');
+  const items = parseFrontexListing(await fetchHTML(LISTING_URL));
+  
+  if (items.length === 0) {
+    throw new Error('No Frontex news items found');
+  }
+  
+  console.log(`Found ${items.length} Frontex news items`);
+  
+  return enrichItems(items, enrichFrontexItem);
+}
+
+/**
+ * Parse the Frontex news listing page
+ */
+function parseFrontexListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  // Try different selectors for news cards
+  const selectors = [
+    '.news-list__item',
+    '.news-item',
+    '.card--news',
+    'article'
+  ];
+  
+  for (const selector of selectors) {
+    const $cards = $(selector);
+    if ($cards.length === 0) continue;
+    
+    console.log(`Frontex: Found ${$cards.length} items with selector: ${selector}`);
+    
+    $cards.each((index, element) => {
+      try {
+        const $card = $(element);
+        
+        // Extract title and link (the card itself may be the link)
+        const $link = $card.is('a') ? $card : $card.find('a[href]').first();
+        const relativeUrl = $link.attr('href');
+        const title = $card.find('.news-list__title, .news-item__title, h2, h3, h4').first().text().trim()
+          || $link.text().trim();
+        
+        if (!title || !relativeUrl) return;
+        
+        const link = resolveUrl(relativeUrl, BASE_URL);
+        
+        // Extract category label, falling back to the URL path
+        const label = $card.find('.news-list__category, .news-item__category, .tag, .label').first().text().trim();
+        const category = label || getCategoryFromUrl(link);
+        
+        // Extract date
+        const $time = $card.find('time').first();
+        const dateText = $time.attr('datetime') || $time.text().trim()
+          || $card.find('.news-list__date, .news-item__date, .date').first().text().trim();
+        
+        // Extract teaser
+        const summary = $card.find('.news-list__excerpt, .news-item__excerpt, p').first().text().trim();
+        
+        items.push({
+          title: title.replace(/\s+/g, ' '),
+          link,
+          category,
+          pubDate: parseSiteDate(dateText),
+          description: cleanDescription(summary || title, 500),
+          guid: link
+        });
+        
+        // Limit to 30 items
+        if (items.length >= 30) return false;
+      
+      } catch (error) {
+        console.error('Error processing Frontex card:', error.message);
+      }
+    });
+    
+    if (items.length > 0) break;
+  }
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content from its detail page
+ */
+async function enrichFrontexItem(item) {
+  try {
+    console.log(`Frontex: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseFrontexArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content }),
+      pubDate: item.pubDate || article.pubDate
+    };
+  
+  } catch (error) {
+    console.error(`Frontex: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract article body and date from a Frontex detail page
+ */
+function parseFrontexArticle(html) {
+  const $ = cheerio.load(html);
+  
+  const contentSelectors = [
+    '.news-detail__content',
+    '.article__content',
+    '.article-content',
+    'article .content',
+    'main article',
+    'main'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
+      const $time = $('time').first();
+      
+      return {
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL),
+        pubDate: parseSiteDate($time.attr('datetime') || $time.text().trim())
+      };
+    }
+  }
+  
+  return { description: '', content: '', pubDate: null };
+}
+
+/**
+ * Category from the news URL path, e.g. /media-centre/news/news-release/...
+ */
+function getCategoryFromUrl(url) {
+  const match = url.match(/\/media-centre\/news\/([^/]+)\//);
+  return (match && CATEGORY_PATHS[match[1]]) || 'News';
+}
+
+/**
+ * Get Frontex channel info
+ */
+function getFrontexChannelInfo() {
+  return {
+    title: 'Frontex News',
+    description: 'News releases, press releases and focus stories from Frontex, the European Border and Coast Guard Agency',
+    link: 'https://www.frontex.europa.eu/media-centre/news/',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeFrontex,
+  parseFrontexListing,
+  parseFrontexArticle,
+  getFrontexChannelInfo
+};
@@ -3,6 +3,9 @@
  * Handles 403 errors and implements fallback strategies
  */
 
+import { normalizeEnclosure } from './rss-builder.js';
+import { createCacheBackend } from './cache-backends.js';
+
 const USER_AGENTS = [
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
@@ -108,12 +111,19 @@ async function fetchWithRetry(url, options = {}) {
       }
       
       // For other HTTP errors, throw immediately
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      httpError.status = response.status;
+      throw httpError;
       
     } catch (error) {
       lastError = error;
       console.log(`Fetch attempt ${attempt + 1} failed:`, error.message);
       
+      // Client errors (404, 410...) will not change on retry; 403 is retried above, 429 here
+      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+        break;
+      }
+      
       // Don't retry on timeout or network errors after 2 attempts
       if (attempt >= 1 && (error.code === 'ENOTFOUND' || error.message.includes('timeout'))) {
         break;
@@ -138,35 +148,194 @@ async function fetchHTML(url) {
 }
 
 /**
- * Simple in-memory cache
+ * Resolve size and MIME type of a remote file via a HEAD request
+ */
+async function fetchResourceInfo(url, timeout = 5000) {
+  try {
+    const response = await fetch(url, {
+      method: 'HEAD',
+      headers: getBrowserHeaders(url),
+      signal: AbortSignal.timeout(timeout)
+    });
+    
+    if (!response.ok) return null;
+    
+    return {
+      length: parseInt(response.headers.get('content-length'), 10) || 0,
+      type: (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  } catch (error) {
+    console.log(`HEAD request failed for ${url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Run enrichItem (e.g. a detail page fetch) on the first `limit` items in parallel
+ * Items whose enrichment fails, and those past the limit, keep their listing data
+ */
+async function enrichItems(items, enrichItem, limit = 15) {
+  const results = await Promise.allSettled(items.slice(0, limit).map(item => enrichItem(item)));
+  
+  return results
+    .map((result, index) => result.status === 'fulfilled' ? result.value : items[index])
+    .concat(items.slice(limit));
+}
+
+/**
+ * Normalize item enclosures and fill in missing lengths so they can be stored with the items
+ */
+async function resolveEnclosures(items) {
+  return Promise.all(items.map(async item => {
+    const enclosure = normalizeEnclosure(item.enclosure);
+    if (!enclosure) return item;
+    
+    if (!enclosure.length) {
+      const infoCacheKey = `enclosure-info:${enclosure.url}`;
+      const info = cache.get(infoCacheKey) || await fetchResourceInfo(enclosure.url);
+      
+      if (info) {
+        cache.set(infoCacheKey, info);
+        enclosure.length = info.length;
+        
+        // Prefer the server's MIME type when the URL gave no usable hint
+        if (enclosure.type === 'application/octet-stream' && info.type) {
+          enclosure.type = info.type;
+        }
+      }
+    }
+    
+    return { ...item, enclosure };
+  }));
+}
+
+/**
+ * Simple cache with pluggable storage (see cache-backends.js)
+ *
+ * Entries are fresh until ttl, then stale (served while a background refresh runs)
+ * until staleTtl; the last good data is kept beyond that as an error fallback.
  */
 class SimpleCache {
-  constructor(ttl = 1800000) { // 30 minutes default
-    this.cache = new Map();
+  constructor(ttl = 1800000, backend = createCacheBackend(), staleTtl = 86400000) { // 30 minutes fresh, 24 hours stale
+    this.backend = backend;
     this.ttl = ttl;
+    this.staleTtl = staleTtl;
+    this.pending = new Map();
   }
   
+  /**
+   * Fresh data only (null once the entry has expired)
+   */
   get(key) {
-    const item = this.cache.get(key);
+    const item = this.backend.read(key);
     if (!item) return null;
     
     if (Date.now() > item.expiry) {
-      this.cache.delete(key);
       return null;
     }
     
     return item.data;
   }
   
-  set(key, data) {
-    this.cache.set(key, {
+  /**
+   * Last stored data regardless of expiry, for error fallbacks
+   */
+  getStale(key) {
+    const item = this.backend.read(key);
+    return item ? item.data : null;
+  }
+  
+  /**
+   * Entry with its age and freshness state
+   */
+  getEntry(key) {
+    const item = this.backend.read(key);
+    if (!item) return null;
+    
+    const now = Date.now();
+    
+    return {
+      data: item.data,
+      storedAt: item.storedAt,
+      age: Math.round((now - item.storedAt) / 1000),
+      isFresh: now <= item.expiry,
+      isStale: now > item.expiry && now <= (item.staleUntil || item.expiry)
+    };
+  }
+  
+  set(key, data, ttl = this.ttl) {
+    const now = Date.now();
+    
+    this.backend.write(key, {
       data,
-      expiry: Date.now() + this.ttl
+      storedAt: now,
+      expiry: now + ttl,
+      staleUntil: now + ttl + this.staleTtl
     });
   }
   
+  /**
+   * Stale-while-revalidate lookup
+   * - fresh entry: returned as is
+   * - stale entry: returned immediately while loader refreshes it in the background
+   * - missing or too old: loader runs; on failure the last good data is returned
+   * With force, the loader always runs first, keeping the same failure fallback
+   * Resolves to { data, stale, age, storedAt }
+   */
+  async getOrRevalidate(key, loader, ttl = this.ttl, { force = false } = {}) {
+    const entry = this.getEntry(key);
+    
+    if (entry?.isFresh && !force) {
+      return { data: entry.data, stale: false, age: entry.age, storedAt: entry.storedAt };
+    }
+    
+    if (entry?.isStale && !force) {
+      this.refresh(key, loader, ttl).catch(error => {
+        console.error(`Cache: Background refresh failed for ${key}:`, error.message);
+      });
+      return { data: entry.data, stale: true, age: entry.age, storedAt: entry.storedAt };
+    }
+    
+    try {
+      const data = await this.refresh(key, loader, ttl);
+      return { data, stale: false, age: 0, storedAt: Date.now() };
+    } catch (error) {
+      if (entry) {
+        console.log(`Cache: Serving last good data for ${key} (${entry.age}s old) after error:`, error.message);
+        return { data: entry.data, stale: true, age: entry.age, storedAt: entry.storedAt };
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Run loader and store its result, sharing one in-flight refresh per key
+   */
+  refresh(key, loader, ttl = this.ttl) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    
+    const refreshPromise = (async () => {
+      try {
+        const data = await loader();
+        this.set(key, data, ttl);
+        return data;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+    
+    this.pending.set(key, refreshPromise);
+    return refreshPromise;
+  }
+  
+  delete(key) {
+    this.backend.delete(key);
+  }
+  
   clear() {
-    this.cache.clear();
+    this.backend.clear();
   }
 }
 
@@ -178,5 +347,9 @@ export {
   fetchHTML,
   getBrowserHeaders,
   getRandomUserAgent,
+  fetchResourceInfo,
+  enrichItems,
+  resolveEnclosures,
+  SimpleCache,
   cache
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Landing Page Renderer
+ * Builds public/index.html from the feed registry
+ */
+
+import { escapeXml } from './rss-builder.js';
+
+const STATUS_LABELS = {
+  ready: { className: 'ready', label: 'READY' },
+  development: { className: 'development', label: 'IN DEVELOPMENT' }
+};
+
+/**
+ * Render the landing page HTML for the registered feeds
+ */
+function renderLandingPage(feeds) {
+  const feedItems = feeds.map(feed => renderFeedItem(feed)).join('\n        \n');
+  const usageItems = feeds
+    .filter(feed => feed.status === 'ready')
+    .map(feed => `        <li><strong>${escapeXml(feed.name)}:</strong> <code>https://your-vercel-domain.vercel.app/api/${feed.id}</code></li>`)
+    .join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>EU RSS Generator</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 800px;
+            margin: 40px auto;
+            padding: 20px;
+            line-height: 1.6;
+            color: #333;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 40px;
+        }
+        .feed-list {
+            list-style: none;
+            padding: 0;
+        }
+        .feed-item {
+            background: #f8f9fa;
+            margin: 10px 0;
+            padding: 15px;
+            border-radius: 8px;
+            border-left: 4px solid #007bff;
+        }
+        .feed-item h3 {
+            margin: 0 0 5px 0;
+            color: #007bff;
+        }
+        .feed-item .url {
+            font-family: monospace;
+            background: #e9ecef;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-size: 14px;
+        }
+        .status {
+            font-size: 12px;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-weight: bold;
+        }
+        .status.ready {
+            background: #d4edda;
+            color: #155724;
+        }
+        .status.development {
+            background: #fff3cd;
+            color: #856404;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🇪🇺 EU RSS Generator</h1>
+        <p>Professional RSS feeds for European institutional websites</p>
+    </div>
+    
+    <h2>Available RSS Feeds</h2>
+    <ul class="feed-list">
+${feedItems}
+    </ul>
+    
+    <h2>Usage</h2>
+    <p>Add these RSS feed URLs to your WordPress RSS Aggregator plugin:</p>
+    <ul>
+${usageItems}
+    </ul>
+    <p>Import every feed at once with the OPML subscription list at <code>/api/catalog.opml</code>, or read feed metadata as JSON from <code>/api/catalog</code>.</p>
+    
+    <h2>Features</h2>
+    <ul>
+        <li>✅ RSS 2.0 format (WordPress RSS Aggregator compatible)</li>
+        <li>✅ Atom 1.0 format (<code>?format=atom</code> or <code>Accept: application/atom+xml</code>)</li>
+        <li>✅ JSON Feed 1.1 format (<code>?format=json</code>)</li>
+        <li>✅ Professional BBC-grade feeds</li>
+        <li>✅ Full content extraction</li>
+        <li>✅ PDF text extraction (for applicable feeds)</li>
+        <li>✅ Anti-bot protection</li>
+        <li>✅ 30-minute caching</li>
+    </ul>
+</body>
+</html>`;
+}
+
+/**
+ * Render a single feed entry
+ */
+function renderFeedItem(feed) {
+  const status = STATUS_LABELS[feed.status] || STATUS_LABELS.development;
+  
+  return `        <li class="feed-item">
+            <h3>${escapeXml(feed.name)}</h3>
+            <span class="status ${status.className}">${status.label}</span>
+            <p>${feed.description}</p>
+            <div class="url">/api/${feed.id}</div>
+        </li>`;
+}
+
+export {
+  renderLandingPage
+};
@@ -5,8 +5,8 @@
  */
 
 import * as cheerio from 'cheerio';
-import { fetchHTML, cache, fetchWithRetry } from './http-client.js';
-import { resolveUrl, cleanDescription } from './rss-builder.js';
+import { fetchHTML, fetchWithRetry } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML } from './rss-builder.js';
 
 /**
  * NATO-specific user agents (defense/government sites often allow these)
@@ -250,16 +250,7 @@ function parseNATODate(dateString) {
  * Main NATO scraping function
  */
 async function scrapeNATO() {
-  const cacheKey = 'nato-feed';
-  
   try {
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached NATO data');
-      return cached;
-    }
-    
     console.log('Scraping NATO news...');
     
     // Try to fetch content with multiple strategies
@@ -293,21 +284,10 @@ async function scrapeNATO() {
       items = successfulItems.concat(items.slice(10));
     }
     
-    // Cache results
-    cache.set(cacheKey, items);
-    
     return items;
     
   } catch (error) {
     console.error('NATO scraping error:', error.message);
-    
-    // Return cached data if available
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning stale cached data due to error');
-      return cached;
-    }
-    
     throw error;
   }
 }
@@ -324,6 +304,7 @@ async function enrichNATOItemContent(item) {
     
     // Extract main content using multiple selectors
     let content = '';
+    let contentHtml = '';
     const contentSelectors = [
       'section.content',
       '.main-content',
@@ -337,6 +318,7 @@ async function enrichNATOItemContent(item) {
       const $content = $(selector).first();
       if ($content.length) {
         content = $content.text().trim();
+        contentHtml = $content.html();
         break;
       }
     }
@@ -344,9 +326,13 @@ async function enrichNATOItemContent(item) {
     // Clean and limit content
     const description = cleanDescription(content, 500) || item.description;
     
+    // Keep the full article as sanitized HTML for content:encoded
+    const fullContent = sanitizeContentHTML(contentHtml, 'https://www.nato.int');
+    
     return {
       ...item,
-      description
+      description,
+      ...(fullContent && { content: fullContent })
     };
     
   } catch (error) {
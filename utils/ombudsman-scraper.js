@@ -0,0 +1,191 @@
+/**
+ * European Ombudsman News Scraper
+ * Scrapes https://www.ombudsman.europa.eu/en/news
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchHTML, enrichItems } from './http-client.js';
+import { resolveUrl, cleanDescription, sanitizeContentHTML, parseSiteDate } from './rss-builder.js';
+
+const BASE_URL = 'https://www.ombudsman.europa.eu';
+const LISTING_URL = 'https://www.ombudsman.europa.eu/en/news';
+
+/**
+ * Document URL types, e.g. /en/press-release/en/201234, mapped to categories
+ */
+const DOCUMENT_TYPES = {
+  'press-release': 'Press release',
+  'news-document': 'News',
+  'decision': 'Decision',
+  'recommendation': 'Recommendation',
+  'opening-summary': 'Inquiry opening',
+  'correspondence': 'Letter',
+  'speech': 'Speech'
+};
+
+/**
+ * Scrape European Ombudsman news and press releases
+ */
+async function scrapeOmbudsman() {
+  console.log('Scraping European Ombudsman news...');
+  const items = parseOmbudsmanListing(await fetchHTML(LISTING_URL));
+  
+  if (items.length === 0) {
+    throw new Error('No European Ombudsman news items found');
+  }
+  
+  console.log(`Found ${items.length} European Ombudsman news items`);
+  
+  return enrichItems(items, enrichOmbudsmanItem);
+}
+
+/**
+ * Parse the Ombudsman news listing page
+ */
+function parseOmbudsmanListing(html) {
+  const $ = cheerio.load(html);
+  const items = [];
+  
+  // Try different selectors for news entries
+  const selectors = [
+    '.news-list__item',
+    '.search-results__item',
+    '.views-row',
+    'article'
+  ];
+  
+  for (const selector of selectors) {
+    const $cards = $(selector);
+    if ($cards.length === 0) continue;
+    
+    console.log(`Ombudsman: Found ${$cards.length} items with selector: ${selector}`);
+    
+    $cards.each((index, element) => {
+      try {
+        const $card = $(element);
+        
+        // Extract title and link
+        const $heading = $card.find('h2, h3, h4').first();
+        const $link = $heading.find('a[href]').first().length
+          ? $heading.find('a[href]').first()
+          : $card.find('a[href]').first();
+        const relativeUrl = $link.attr('href');
+        const title = $heading.text().trim() || $link.text().trim();
+        
+        if (!title || !relativeUrl) return;
+        
+        const link = resolveUrl(relativeUrl, BASE_URL);
+        
+        // Document type from the label, falling back to the URL path; topics as extra categories
+        const label = $card.find('.news-list__type, .document-type, .label').first().text().trim();
+        const topics = $card.find('.tags a, .topics a').map((i, tag) => $(tag).text().trim()).get().filter(Boolean);
+        
+        // Extract date and case reference (e.g. 1234/2025/ABC)
+        const $time = $card.find('time').first();
+        const dateText = $time.attr('datetime') || $time.text().trim()
+          || $card.find('.news-list__date, .date').first().text().trim();
+        const caseMatch = $card.text().match(/\b\d{1,4}\/\d{4}\/[A-Z]{2,4}\b/);
+        
+        // Extract teaser
+        const summary = $card.find('.news-list__summary, .summary, p').first().text().trim();
+        
+        items.push({
+          title: title.replace(/\s+/g, ' '),
+          link,
+          category: label || getDocumentTypeFromUrl(link),
+          categories: [...new Set(topics)],
+          pubDate: parseSiteDate(dateText),
+          description: cleanDescription(summary || title, 500),
+          guid: link,
+          ...(caseMatch && { caseNumber: caseMatch[0] })
+        });
+        
+        // Limit to 30 items
+        if (items.length >= 30) return false;
+      
+      } catch (error) {
+        console.error('Error processing Ombudsman entry:', error.message);
+      }
+    });
+    
+    if (items.length > 0) break;
+  }
+  
+  return items;
+}
+
+/**
+ * Enrich item with full content from its document page
+ */
+async function enrichOmbudsmanItem(item) {
+  try {
+    console.log(`Ombudsman: Fetching content for: ${item.title.substring(0, 50)}...`);
+    
+    const html = await fetchHTML(item.link);
+    const article = parseOmbudsmanArticle(html);
+    
+    return {
+      ...item,
+      description: article.description || item.description,
+      ...(article.content && { content: article.content })
+    };
+  
+  } catch (error) {
+    console.error(`Ombudsman: Error enriching content for ${item.link}:`, error.message);
+    return item; // Return original item if enrichment fails
+  }
+}
+
+/**
+ * Extract the document body from an Ombudsman page
+ */
+function parseOmbudsmanArticle(html) {
+  const $ = cheerio.load(html);
+  
+  const contentSelectors = [
+    '.document-content',
+    '.field--name-body',
+    'main article',
+    'main'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const $content = $(selector).first();
+    if ($content.length && $content.text().trim().length > 100) {
+      return {
+        description: cleanDescription($content.text(), 500),
+        content: sanitizeContentHTML($content.html(), BASE_URL)
+      };
+    }
+  }
+  
+  return { description: '', content: '' };
+}
+
+/**
+ * Category from the document URL path
+ */
+function getDocumentTypeFromUrl(url) {
+  const match = url.match(/ombudsman\.europa\.eu\/[a-z]{2}\/([a-z-]+)\//);
+  return (match && DOCUMENT_TYPES[match[1]]) || 'News';
+}
+
+/**
+ * Get European Ombudsman channel info
+ */
+function getOmbudsmanChannelInfo() {
+  return {
+    title: 'European Ombudsman News',
+    description: 'Press releases, decisions, inquiries and news from the European Ombudsman',
+    link: 'https://www.ombudsman.europa.eu/en/news',
+    language: 'en',
+    generator: 'EU RSS Generator'
+  };
+}
+
+export {
+  scrapeOmbudsman,
+  parseOmbudsmanListing,
+  parseOmbudsmanArticle,
+  getOmbudsmanChannelInfo
+};
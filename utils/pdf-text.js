@@ -0,0 +1,69 @@
+/**
+ * PDF Text Extraction
+ * Downloads PDFs with a bounded size and time budget and extracts their text with pdf-parse
+ */
+
+// Import the library file directly: the package entry point runs a debug self-test under ESM
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { getBrowserHeaders } from './http-client.js';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Download a PDF, aborting once it exceeds maxBytes or the timeout
+ */
+async function fetchPDFBuffer(url, { maxBytes = DEFAULT_MAX_BYTES, timeout = DEFAULT_TIMEOUT } = {}) {
+  const response = await fetch(url, {
+    headers: {
+      ...getBrowserHeaders(url),
+      'Accept': 'application/pdf,*/*;q=0.8'
+    },
+    signal: AbortSignal.timeout(timeout)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (declaredLength > maxBytes) {
+    throw new Error(`PDF too large (${declaredLength} bytes, limit ${maxBytes})`);
+  }
+  
+  // Stream the body so an undeclared or wrong length cannot exceed the limit
+  const reader = response.body.getReader();
+  const chunks = [];
+  let totalBytes = 0;
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    totalBytes += value.length;
+    if (totalBytes > maxBytes) {
+      await reader.cancel();
+      throw new Error(`PDF exceeded ${maxBytes} bytes while downloading`);
+    }
+    
+    chunks.push(value);
+  }
+  
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Extract plain text from a remote PDF
+ * Options: maxBytes, timeout, maxPages (0 = all pages)
+ */
+async function extractPDFText(url, options = {}) {
+  const buffer = await fetchPDFBuffer(url, options);
+  const { text } = await pdfParse(buffer, { max: options.maxPages || 0 });
+  
+  return text || '';
+}
+
+export {
+  fetchPDFBuffer,
+  extractPDFText
+};
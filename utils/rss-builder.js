@@ -1,24 +1,39 @@
 /**
- * RSS 2.0 Feed Builder Utilities
+ * RSS 2.0 / Atom 1.0 / JSON Feed 1.1 Builder Utilities
  * Professional-grade RSS generation for WordPress RSS Aggregator compatibility
  */
 
+import * as cheerio from 'cheerio';
+
+/**
+ * Tags kept when sanitizing full article HTML for content:encoded
+ */
+const ALLOWED_CONTENT_TAGS = new Set([
+  'p', 'br', 'ul', 'ol', 'li', 'a', 'strong', 'b', 'em', 'i',
+  'h2', 'h3', 'h4', 'h5', 'blockquote', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+
+/**
+ * Namespace for Curia case metadata (case numbers, parties, court, document type)
+ */
+const CURIA_NAMESPACE = 'https://eu-rss-generator.vercel.app/ns/curia/1.0';
+
 /**
  * Generate RSS 2.0 XML feed
  */
 function generateRSSFeed(channelInfo, items) {
-  const { title, description, link, language = 'en', generator = 'EU RSS Generator' } = channelInfo;
+  const { title, description, link, feedUrl, lastBuildDate, language = 'en', generator = 'EU RSS Generator' } = channelInfo;
   
   const rssHeader = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:curia="${CURIA_NAMESPACE}">
   <channel>
     <title><![CDATA[${escapeXml(title)}]]></title>
     <description><![CDATA[${escapeXml(description)}]]></description>
     <link>${escapeXml(link)}</link>
     <language>${language}</language>
     <generator>${generator}</generator>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <atom:link href="${escapeXml(link)}" rel="self" type="application/rss+xml" />`;
+    <lastBuildDate>${formatRSSDate(lastBuildDate)}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl || link)}" rel="self" type="application/rss+xml" />`;
 
   const rssItems = items.map(item => generateRSSItem(item)).join('\n');
   
@@ -33,24 +48,219 @@ function generateRSSFeed(channelInfo, items) {
  * Generate individual RSS item
  */
 function generateRSSItem(item) {
-  const { title, description, link, pubDate, category, guid, author } = item;
+  const { title, description, link, pubDate, guid, author } = item;
+  const enclosure = normalizeEnclosure(item.enclosure);
+  const image = getItemImage(item, enclosure);
   
   return `    <item>
       <title><![CDATA[${escapeXml(title)}]]></title>
       <description><![CDATA[${escapeXml(description || title)}]]></description>
+      ${item.content ? `<content:encoded>${wrapCData(item.content)}</content:encoded>` : ''}
       <link>${escapeXml(link)}</link>
       <pubDate>${formatRSSDate(pubDate)}</pubDate>
-      ${category ? `<category><![CDATA[${escapeXml(category)}]]></category>` : ''}
+      ${getItemCategories(item).map(term => `<category><![CDATA[${escapeXml(term)}]]></category>`).join('\n      ')}
       ${author ? `<author><![CDATA[${escapeXml(author)}]]></author>` : ''}
       <guid isPermaLink="true">${escapeXml(guid || link)}</guid>
+      ${item.source ? `<source url="${escapeXml(item.source.url)}"><![CDATA[${escapeXml(item.source.name)}]]></source>` : ''}
+      ${enclosure ? `<enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.length}" type="${escapeXml(enclosure.type)}" />` : ''}
+      ${image ? generateMediaImage(image) : ''}
+      ${(item.languageVersions || []).map(version => `<media:content url="${escapeXml(version.url)}" type="${escapeXml(version.type)}" lang="${escapeXml(version.language)}" />`).join('\n      ')}
+      ${item.caseInfo ? generateCaseElements(item.caseInfo, '\n      ') : ''}
     </item>`;
 }
 
 /**
- * Format date for RSS (RFC 2822 format)
+ * Item image: a separate `image` (when the enclosure is a document) or an image enclosure
  */
-function formatRSSDate(date) {
-  if (!date) return new Date().toUTCString();
+function getItemImage(item, enclosure) {
+  if (item.image) return normalizeEnclosure(item.image);
+  return enclosure?.type.startsWith('image/') ? enclosure : null;
+}
+
+/**
+ * Generate Media RSS elements for an item image
+ */
+function generateMediaImage(image) {
+  const { url, type, length } = image;
+  
+  return `<media:content url="${escapeXml(url)}" medium="image" type="${escapeXml(type)}"${length ? ` fileSize="${length}"` : ''} />
+      <media:thumbnail url="${escapeXml(url)}" />`;
+}
+
+/**
+ * Generate curia:* elements for an item's case metadata
+ */
+function generateCaseElements(caseInfo, separator) {
+  const { pressNumber, caseNumbers = [], parties, court, documentType, domain } = caseInfo;
+  
+  return [
+    pressNumber && `<curia:pressRelease>${escapeXml(pressNumber)}</curia:pressRelease>`,
+    ...caseNumbers.map(caseNumber => `<curia:case>${escapeXml(caseNumber)}</curia:case>`),
+    parties && `<curia:parties>${escapeXml(parties)}</curia:parties>`,
+    court && `<curia:court>${escapeXml(court)}</curia:court>`,
+    documentType && `<curia:documentType>${escapeXml(documentType)}</curia:documentType>`,
+    domain && `<curia:domain>${escapeXml(domain)}</curia:domain>`
+  ].filter(Boolean).join(separator);
+}
+
+/**
+ * Generate Atom 1.0 XML feed
+ */
+function generateAtomFeed(channelInfo, items) {
+  const { title, description, link, feedUrl, language = 'en', generator = 'EU RSS Generator' } = channelInfo;
+  
+  // Feed-level updated is the newest entry date, falling back to build time
+  const updated = items.length > 0
+    ? new Date(Math.max(...items.map(item => parseFeedDate(item.pubDate).getTime())))
+    : new Date();
+  
+  const atomHeader = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:curia="${CURIA_NAMESPACE}" xml:lang="${escapeXml(language)}">
+  <id>${escapeXml(feedUrl || link)}</id>
+  <title type="text">${escapeXml(title)}</title>
+  <subtitle type="text">${escapeXml(description)}</subtitle>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+  ${feedUrl ? `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />` : ''}
+  <author>
+    <name>${escapeXml(title)}</name>
+    <uri>${escapeXml(link)}</uri>
+  </author>
+  <generator>${escapeXml(generator)}</generator>`;
+
+  const atomEntries = items.map(item => generateAtomEntry(item, title)).join('\n');
+  
+  const atomFooter = `
+</feed>`;
+
+  return atomHeader + '\n' + atomEntries + atomFooter;
+}
+
+/**
+ * Generate individual Atom entry
+ */
+function generateAtomEntry(item, feedTitle) {
+  const { title, description, link, pubDate, guid, author } = item;
+  const published = formatAtomDate(pubDate);
+  const enclosure = normalizeEnclosure(item.enclosure);
+  
+  return `  <entry>
+    <id>${escapeXml(guid || link)}</id>
+    <title type="text">${escapeXml(title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+    ${enclosure ? `<link rel="enclosure" type="${escapeXml(enclosure.type)}" href="${escapeXml(enclosure.url)}"${enclosure.length ? ` length="${enclosure.length}"` : ''} />` : ''}
+    ${(item.languageVersions || []).map(version => `<link rel="alternate" type="${escapeXml(version.type)}" hreflang="${escapeXml(version.language)}" href="${escapeXml(version.url)}" />`).join('\n    ')}
+    <published>${published}</published>
+    <updated>${published}</updated>
+    <summary type="text">${escapeXml(description || title)}</summary>
+    ${item.content ? `<content type="html">${escapeXml(item.content)}</content>` : ''}
+    ${getItemCategories(item).map(term => `<category term="${escapeXml(term)}" />`).join('\n    ')}
+    <author>
+      <name>${escapeXml(author || feedTitle)}</name>
+    </author>
+    ${item.caseInfo ? generateCaseElements(item.caseInfo, '\n    ') : ''}
+  </entry>`;
+}
+
+/**
+ * Generate JSON Feed 1.1 document
+ */
+function generateJSONFeed(channelInfo, items) {
+  const { title, description, link, feedUrl, language = 'en' } = channelInfo;
+  
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: link,
+    ...(feedUrl && { feed_url: feedUrl }),
+    description,
+    language,
+    authors: [{ name: title, url: link }],
+    items: items.map(item => generateJSONFeedItem(item))
+  };
+  
+  return JSON.stringify(feed, null, 2);
+}
+
+/**
+ * Generate individual JSON Feed item
+ */
+function generateJSONFeedItem(item) {
+  const { title, description, link, pubDate, guid, author } = item;
+  const enclosure = normalizeEnclosure(item.enclosure);
+  
+  return {
+    id: guid || link,
+    url: link,
+    title,
+    ...(item.content ? { content_html: item.content } : { content_text: description || title }),
+    summary: description || title,
+    date_published: formatAtomDate(pubDate),
+    ...(getItemCategories(item).length > 0 && { tags: getItemCategories(item) }),
+    ...(author && { authors: [{ name: author }] }),
+    ...(item.image && { image: normalizeEnclosure(item.image).url }),
+    ...(enclosure && {
+      attachments: [{
+        url: enclosure.url,
+        mime_type: enclosure.type,
+        ...(enclosure.length && { size_in_bytes: enclosure.length })
+      }]
+    }),
+    ...(item.languageVersions && { _language_versions: item.languageVersions }),
+    ...(item.caseInfo && { _curia: item.caseInfo })
+  };
+}
+
+/**
+ * Primary category followed by any extra categories, without duplicates
+ */
+function getItemCategories(item) {
+  return [...new Set([item.category, ...(item.categories || [])].filter(Boolean))];
+}
+
+/**
+ * Normalize the enclosure shapes produced by the scrapers
+ * (plain URL string or { url, type, length } object)
+ */
+function normalizeEnclosure(enclosure) {
+  if (!enclosure) return null;
+  
+  const { url, type, length } = typeof enclosure === 'string' ? { url: enclosure } : enclosure;
+  if (!url) return null;
+  
+  return {
+    url,
+    type: type || guessMimeType(url),
+    length: parseInt(length, 10) || 0
+  };
+}
+
+/**
+ * Guess MIME type from a URL file extension
+ */
+function guessMimeType(url) {
+  const extension = (url.split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  
+  const mimeTypes = {
+    pdf: 'application/pdf',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    mp3: 'audio/mpeg',
+    mp4: 'video/mp4'
+  };
+  
+  return mimeTypes[extension] || 'application/octet-stream';
+}
+
+/**
+ * Parse the date formats produced by the scrapers into a Date
+ */
+function parseFeedDate(date) {
+  if (!date) return new Date();
   
   if (typeof date === 'string') {
     // Handle DD.MM.YYYY format from EEAS
@@ -62,7 +272,61 @@ function formatRSSDate(date) {
     }
   }
   
-  return date instanceof Date && !isNaN(date) ? date.toUTCString() : new Date().toUTCString();
+  return date instanceof Date && !isNaN(date) ? date : new Date();
+}
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Parse a date as printed on a source site into an RFC 2822 string (null if unreadable)
+ * Handles timestamps, ISO dates, day-month-year with month names or numbers, then Date.parse as UTC
+ */
+function parseSiteDate(value) {
+  if (!value) return null;
+  
+  if (typeof value === 'number') {
+    return new Date(value).toUTCString();
+  }
+  
+  const text = String(value);
+  const toUTCString = (year, monthIndex, day) => new Date(Date.UTC(Number(year), monthIndex, Number(day))).toUTCString();
+  
+  const isoMatch = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return toUTCString(isoMatch[1], isoMatch[2] - 1, isoMatch[3]);
+  }
+  
+  // Full or abbreviated month name ("12 August 2025", "12 Aug. 2025", "3 Sept 2025")
+  const textMatch = text.match(/(\d{1,2})\s+([A-Za-z]{3,})\.?\s+(\d{4})/);
+  const monthIndex = textMatch ? MONTHS.findIndex(name => name.startsWith(textMatch[2].toLowerCase())) : -1;
+  if (monthIndex !== -1) {
+    return toUTCString(textMatch[3], monthIndex, textMatch[1]);
+  }
+  
+  const numericMatch = text.match(/(\d{1,2})[-./](\d{1,2})[-./](\d{4})/);
+  if (numericMatch) {
+    return toUTCString(numericMatch[3], numericMatch[2] - 1, numericMatch[1]);
+  }
+  
+  const parsed = Date.parse(`${text} UTC`);
+  return isNaN(parsed) ? null : new Date(parsed).toUTCString();
+}
+
+/**
+ * Format date for RSS (RFC 2822 format)
+ */
+function formatRSSDate(date) {
+  return parseFeedDate(date).toUTCString();
+}
+
+/**
+ * Format date for Atom (RFC 3339 format)
+ */
+function formatAtomDate(date) {
+  return parseFeedDate(date).toISOString();
 }
 
 /**
@@ -102,6 +366,54 @@ function cleanDescription(text, maxLength = 500) {
   return lastSpace > 0 ? truncated.substring(0, lastSpace) + '...' : truncated + '...';
 }
 
+/**
+ * Sanitize full article HTML for content:encoded
+ * Keeps paragraphs, lists, tables and links (resolved against baseUrl), drops everything else
+ */
+function sanitizeContentHTML(html, baseUrl) {
+  if (!html) return '';
+  
+  const $ = cheerio.load(html, null, false);
+  
+  $('h1, script, style, noscript, iframe, form, nav, button, svg, img, .share-buttons, .breadcrumb').remove();
+  $('*').contents().filter((index, node) => node.type === 'comment').remove();
+  
+  // Walk deepest elements first so unwrapping never skips nested nodes
+  $('*').toArray().reverse().forEach(element => {
+    const $element = $(element);
+    const tagName = element.tagName.toLowerCase();
+    
+    if (!ALLOWED_CONTENT_TAGS.has(tagName)) {
+      $element.replaceWith($element.contents());
+      return;
+    }
+    
+    const href = $element.attr('href');
+    Object.keys(element.attribs).forEach(attribute => $element.removeAttr(attribute));
+    
+    if (tagName === 'a') {
+      if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+        $element.replaceWith($element.contents());
+        return;
+      }
+      $element.attr('href', href.startsWith('mailto:') ? href : resolveUrl(href, baseUrl));
+    }
+    
+    if (['p', 'li', 'h2', 'h3', 'h4', 'h5'].includes(tagName) && !$element.text().trim()) {
+      $element.remove();
+    }
+  });
+  
+  return $.html().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Wrap raw HTML in a CDATA section, splitting any embedded terminators
+ */
+function wrapCData(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
 /**
  * Resolve relative URLs to absolute URLs
  */
@@ -116,8 +428,18 @@ function resolveUrl(url, baseUrl) {
 export {
   generateRSSFeed,
   generateRSSItem,
+  generateAtomFeed,
+  generateAtomEntry,
+  generateJSONFeed,
+  generateJSONFeedItem,
+  normalizeEnclosure,
+  getItemCategories,
+  parseFeedDate,
+  parseSiteDate,
   formatRSSDate,
+  formatAtomDate,
   escapeXml,
   cleanDescription,
+  sanitizeContentHTML,
   resolveUrl
 };
\ No newline at end of file